@@ -0,0 +1,77 @@
+/**
+ * api-client.js - Client for the public JSON API (api/v1/, built by scripts/build_api.py)
+ * Mirrors the Data module: getCountry(id), getRanking(pillarId), ... but
+ * asynchronous, and reading the stable API documents instead of data/*.json.
+ * Works in browsers and in Node 18+ (global fetch):
+ *
+ *   BarometerApi.setBase('https://world-bar.github.io/');
+ *   const norway = await BarometerApi.getCountry('norway');
+ *   const top = (await BarometerApi.getRanking('health')).slice(0, 10);
+ */
+const BarometerApi = (() => {
+  const VERSION = 'v1';
+  let _base = '';
+  const _cache = new Map();
+
+  // Site root the api/ folder lives in; '' = same origin as the page
+  function setBase(url) {
+    _base = url && !url.endsWith('/') ? url + '/' : (url || '');
+    _cache.clear();
+  }
+
+  // Resolves to null for a 404 (unknown country or pillar), rejects on other errors
+  function _get(path) {
+    const url = `${_base}api/${VERSION}/${path}`;
+    if (!_cache.has(url)) {
+      const req = fetch(url).then(resp => {
+        if (resp.status === 404) return null;
+        if (!resp.ok) throw new Error(`Failed to load ${url}: ${resp.status}`);
+        return resp.json();
+      });
+      // Do not keep failures around, so a later call can retry
+      req.catch(() => _cache.delete(url));
+      _cache.set(url, req);
+    }
+    return _cache.get(url);
+  }
+
+  function _slug(id) {
+    return encodeURIComponent(String(id));
+  }
+
+  // { version, generated_at, release, languages, endpoints, rankings, country_count }
+  function getIndex() {
+    return _get('index.json');
+  }
+
+  // [{ id, name, continent, region, income, overall: { score, rank }, url }]
+  async function getAllCountries() {
+    const doc = await _get('countries.json');
+    return doc ? doc.countries : [];
+  }
+
+  // Full country document, or null if the id is unknown
+  function getCountry(id) {
+    return _get(`countries/${_slug(id)}.json`);
+  }
+
+  // [{ id, name, icon, color, sources, ranking_url }]
+  async function getPillars() {
+    const doc = await _get('pillars.json');
+    return doc ? doc.pillars : [];
+  }
+
+  async function getPillar(id) {
+    return (await getPillars()).find(p => p.id === id) || null;
+  }
+
+  // 'overall' or a pillar id -> [{ rank, id, name, score }], best first
+  async function getRanking(pillarId) {
+    const doc = await _get(`rankings/${_slug(pillarId || 'overall')}.json`);
+    return doc ? doc.ranking : [];
+  }
+
+  return { VERSION, setBase, getIndex, getAllCountries, getCountry, getPillars, getPillar, getRanking };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = BarometerApi;
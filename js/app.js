@@ -11,7 +11,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     return;
   }
 
+  if (typeof Weights !== 'undefined') Weights.init();
   if (typeof CountrySelector !== 'undefined') CountrySelector.init();
+  if (typeof Currency !== 'undefined') Currency.init();
 
   // Global tooltip element
   const _tooltip = document.createElement('div');
@@ -65,19 +67,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   window.addEventListener('scroll', () => { _hideTooltip(); }, { passive: true });
 
   const page = detectPage();
-  if (page === 'index') renderIndex();
-  else if (page === 'country') renderCountry();
-  else if (page === 'pillar') renderPillar();
-  else if (page === 'compare') renderCompare();
-  else if (page === 'quiz') renderQuiz();
-  else if (page === 'prosperity') renderProsperityPage();
-  else if (page === 'trade') renderTradePage();
-  else if (page === 'press-freedom') renderPressFreedomPage();
-  else if (page === 'life-satisfaction') renderLifeSatisfactionPage();
-  else if (page === 'rule-of-law') renderRuleOfLawPage();
-
-  // Re-render on language change
-  document.addEventListener('gpb-lang-change', () => {
+  function renderPage() {
     if (page === 'index') renderIndex();
     else if (page === 'country') renderCountry();
     else if (page === 'pillar') renderPillar();
@@ -88,6 +78,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     else if (page === 'press-freedom') renderPressFreedomPage();
     else if (page === 'life-satisfaction') renderLifeSatisfactionPage();
     else if (page === 'rule-of-law') renderRuleOfLawPage();
+    else if (page === 'explore') renderExplorePage();
+    else if (page === 'widgets') renderWidgetsPage();
+  }
+  renderPage();
+
+  // Re-render on language change
+  document.addEventListener('gpb-lang-change', renderPage);
+
+  // Re-render money figures on currency change (the quiz keeps its questions)
+  document.addEventListener('gpb-currency-change', () => {
+    if (page !== 'quiz') renderPage();
+  });
+
+  // Re-render on pillar weight change (overall score and ranks)
+  document.addEventListener('gpb-weights-change', () => {
+    if (page === 'country') renderCountry();
+    else if (page === 'pillar') renderPillar();
   });
 
   // Sticky back bar on ranking pages (moves together with header)
@@ -188,6 +195,161 @@ function infoBtn(descKey) {
   return `<span class="info-btn" data-desc="${descKey}" role="button" tabindex="0">i</span>`;
 }
 
+/* ===== Helper: text and attribute values in template markup ===== */
+function _escHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/* ===== Helper: carry custom pillar weights into internal links ===== */
+function weightedLink(url) {
+  return typeof Weights !== 'undefined' ? Weights.link(url) : url;
+}
+
+/* ===== Helper: region / income group filter ===== */
+const _incomeOrder = ['high', 'upper_middle', 'lower_middle', 'low', 'not_classified'];
+
+function _regionName(type, value) {
+  return I18n.t('geo.' + type + '.' + value);
+}
+
+// Only known "type:value" codes: the filter ends up in links and markup
+function _currentRegionFilter() {
+  const filter = new URLSearchParams(window.location.search).get('region') || '';
+  return Data.isRegion(filter) ? filter : '';
+}
+
+// <optgroup>s for continents, sub-regions and income groups; option values are prefix + "type:value"
+function _regionOptgroups(current, prefix = '', exclude = []) {
+  const lang = I18n.getLang();
+  const group = (type, labelKey) => {
+    let values = Data.getRegions(type);
+    if (type === 'income') values = _incomeOrder.filter(v => values.includes(v));
+    else values.sort((a, b) => _regionName(type, a).localeCompare(_regionName(type, b), lang));
+    const options = values.map(v => {
+      const val = prefix + type + ':' + v;
+      if (exclude.includes(val)) return '';
+      return `<option value="${val}" ${val === current ? 'selected' : ''}>${_regionName(type, v)}</option>`;
+    }).join('');
+    return `<optgroup label="${I18n.t(labelKey)}">${options}</optgroup>`;
+  };
+  return group('continent', 'geo.continents') + group('region', 'geo.regions') + group('income', 'geo.income_groups');
+}
+
+function _regionFilterHtml() {
+  return `
+    <div class="region-filter">
+      <label for="region-filter">${I18n.t('geo.filter')}</label>
+      <select id="region-filter">
+        <option value="">${I18n.t('geo.all')}</option>
+        ${_regionOptgroups(_currentRegionFilter())}
+      </select>
+    </div>`;
+}
+
+function _bindRegionFilter(rerender) {
+  const select = document.getElementById('region-filter');
+  if (!select) return;
+  select.addEventListener('change', () => {
+    const params = new URLSearchParams(window.location.search);
+    if (select.value) params.set('region', select.value);
+    else params.delete('region');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+    rerender();
+  });
+}
+
+/* ===== Helper: nominal / PPP toggle for GDP figures (?basis=ppp) ===== */
+// No toggle (and ?basis=ppp is ignored) until economics.json carries PPP figures
+let _pppAvailable = null;
+function _hasPpp() {
+  if (_pppAvailable == null) _pppAvailable = Data.getAllCountries().some(c => (Data.getEconomics(c.id) || {}).gdp_ppp != null);
+  return _pppAvailable;
+}
+
+function _gdpBasis() {
+  return _hasPpp() && new URLSearchParams(window.location.search).get('basis') === 'ppp' ? 'ppp' : 'nominal';
+}
+
+// 'gdp' -> 'gdp_ppp' and 'gdp_per_capita' -> 'gdp_per_capita_ppp' in PPP mode
+function _gdpField(field) {
+  return _gdpBasis() === 'ppp' ? field + '_ppp' : field;
+}
+
+function _gdpLabel(field) {
+  return I18n.t('econ.' + _gdpField(field));
+}
+
+// PPP figures are international dollars and are never currency-converted
+function _fmtGdp(econ, field, countryId) {
+  const v = econ ? econ[_gdpField(field)] : null;
+  if (v == null) return '\u2014';
+  const usd = field === 'gdp' ? v * 1e9 : v;
+  return _gdpBasis() === 'ppp' ? I18n.formatCurrency(usd, 'USD', { notation: 'compact' }) : _fmtMoney(usd, countryId);
+}
+
+function _basisToggleHtml() {
+  if (!_hasPpp()) return '';
+  const basis = _gdpBasis();
+  const button = value => `<button type="button" data-basis="${value}" aria-pressed="${basis === value}"${basis === value ? ' class="active"' : ''}>${I18n.t('econ.basis.' + value)}</button>`;
+  return `
+    <div class="basis-toggle" role="group" aria-label="${I18n.t('econ.basis.label')}">
+      <span class="basis-toggle-label">${I18n.t('econ.basis.label')}</span>
+      ${button('nominal')}${button('ppp')}
+    </div>`;
+}
+
+function _bindBasisToggle(container, rerender) {
+  container.querySelectorAll('.basis-toggle button').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.basis === _gdpBasis()) return;
+      const params = new URLSearchParams(window.location.search);
+      if (btn.dataset.basis === 'ppp') params.set('basis', 'ppp');
+      else params.delete('basis');
+      const query = params.toString();
+      history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+      rerender();
+    });
+  });
+}
+
+// In PPP mode: what the figures mean, and how many countries have none yet
+function _basisNoteHtml(econs) {
+  if (_gdpBasis() !== 'ppp') return '';
+  const missing = econs.filter(e => e && e.gdp_per_capita_ppp == null).length;
+  const text = I18n.t('econ.ppp_note') + (missing ? ' ' + I18n.tf('econ.ppp_missing', missing) : '');
+  return `<p class="currency-note">${text}</p>`;
+}
+
+/* ===== Helper: table download (CSV / JSON / XLSX) ===== */
+function _exportBarHtml(name) {
+  return typeof TableExport !== 'undefined' ? TableExport.toolbarHtml(name) : '';
+}
+
+function _bindExport(container) {
+  if (typeof TableExport !== 'undefined') TableExport.bind(container);
+}
+
+/* ===== Helper: shared ranking table columns ===== */
+function _rankColumn(labelKey) {
+  return {
+    key: 'rank', label: I18n.t(labelKey || 'overview.rank'), numeric: true, filter: false,
+    defaultDir: 'asc', cls: 'rank-num', value: r => r.rank
+  };
+}
+
+function _countryColumn(labelKey) {
+  return {
+    key: 'country', label: I18n.t(labelKey || 'overview.country'), filter: 'text',
+    value: r => I18n.getCountryName(r.country),
+    html: r => {
+      const c = r.country;
+      const thumb = c.image ? `<img src="${c.image}" alt="" class="rank-thumb" loading="lazy" onerror="this.style.display='none'">` : '';
+      return `<a href="${weightedLink('country.html?id=' + c.id)}" class="rank-country-link">${thumb}${I18n.getCountryName(c)}</a>`;
+    }
+  };
+}
+
 /* ===== Helper: localized list join ===== */
 function _formatList(items) {
   if (items.length === 0) return '';
@@ -238,16 +400,15 @@ function _buildCountryDescription(country, overall, rank, totalCountries) {
 
   // Para 3: Economy
   if (econ) {
-    const gdpCap = econ.gdp_per_capita >= 1000
-      ? '$' + (econ.gdp_per_capita / 1000).toFixed(1) + 'K' : '$' + econ.gdp_per_capita;
+    const gdpCap = _fmtMoney(econ.gdp_per_capita, country.id);
     const econKey = econ.gdp_per_capita >= 40000 ? 'cd.econ.rich' : econ.gdp_per_capita >= 15000 ? 'cd.econ.upper' : econ.gdp_per_capita >= 5000 ? 'cd.econ.developing' : 'cd.econ.poor';
     let econText = t(econKey, b(name), b(gdpCap));
-    if (econ.currency_code && econ.currency_code !== 'USD') {
-      const numLocale = I18n.getLang() || 'en';
-      econText += ' ' + t('cd.econ.local', b(econ.currency_symbol + ' ' + Math.round(econ.gdp_per_capita * econ.usd_exchange).toLocaleString(numLocale)));
+    const shownIn = typeof Currency !== 'undefined' ? Currency.target(country.id).code : 'USD';
+    if (econ.currency_code && econ.currency_code !== 'USD' && econ.currency_code !== shownIn) {
+      econText += ' ' + t('cd.econ.local', b(I18n.formatCurrency(econ.gdp_per_capita * econ.usd_exchange, econ.currency_code, { currencyDisplay: 'narrowSymbol' })));
     }
     const unempKey = econ.unemployment > 15 ? 'cd.unemp.high' : econ.unemployment > 8 ? 'cd.unemp.mid' : 'cd.unemp.low';
-    econText += ' ' + t(unempKey, b(econ.unemployment + '%'));
+    econText += ' ' + t(unempKey, b(I18n.formatPercent(econ.unemployment)));
     if (econ.top_exports && econ.top_exports.length) {
       econText += ' ' + t('cd.exports', econ.top_exports.slice(0, 3).join(', '));
     }
@@ -257,12 +418,14 @@ function _buildCountryDescription(country, overall, rank, totalCountries) {
   // Para 4: People and society
   let para4 = '';
   if (demo) {
-    const popM = demo.population >= 1000 ? (demo.population / 1000).toFixed(1) : demo.population.toFixed(1);
-    const popUnit = demo.population >= 1000 ? I18n.t('cd.billion') : I18n.t('cd.million');
+    // population is a head count, not millions
+    const millions = demo.population / 1e6;
+    const popM = _fmtDec(millions >= 1000 ? millions / 1000 : millions, 1);
+    const popUnit = millions >= 1000 ? I18n.t('cd.billion') : I18n.t('cd.million');
     para4 = t('cd.pop', b(popM + ' ' + popUnit));
-    if (demo.life_exp) {
-      const leKey = demo.life_exp >= 78 ? 'cd.life_exp.high' : demo.life_exp >= 65 ? 'cd.life_exp.mid' : 'cd.life_exp.low';
-      para4 += ' ' + t(leKey, b(demo.life_exp));
+    if (demo.life_exp_total) {
+      const leKey = demo.life_exp_total >= 78 ? 'cd.life_exp.high' : demo.life_exp_total >= 65 ? 'cd.life_exp.mid' : 'cd.life_exp.low';
+      para4 += ' ' + t(leKey, b(I18n.formatNumber(demo.life_exp_total)));
     }
   }
   if (pol) {
@@ -270,7 +433,7 @@ function _buildCountryDescription(country, overall, rank, totalCountries) {
     para4 += ' ' + t('cd.regime', b(name), b(regime));
     if (pol.happiness_score) {
       const hapKey = pol.happiness_score >= 7 ? 'cd.happy.high' : pol.happiness_score >= 5 ? 'cd.happy.mid' : 'cd.happy.low';
-      para4 += ' ' + t(hapKey, b(pol.happiness_score + '/10'));
+      para4 += ' ' + t(hapKey, b(I18n.formatNumber(pol.happiness_score) + '/10'));
     }
   }
   if (para4) paras.push(para4);
@@ -301,9 +464,37 @@ function _buildCountrySummary(country, overall, rank, totalCountries) {
     lines.push(`<div class="summary-line"><span class="summary-icon">⚠️</span><span class="summary-text">${_tpl(I18n.t('summary.country.weaknesses'), '<strong>' + _formatList(weaknesses.map(w => w.name)) + '</strong>')}</span></div>`);
   }
 
+  // Same comparisons against the country's UN sub-region
+  const region = Data.getRegion(country.id);
+  if (region && region.region) {
+    const regionAvgs = Data.getRegionalAverages('region:' + region.region);
+    const regionOverall = Data.getOverallScore({ scores: regionAvgs });
+    const regionName = '<strong>' + _regionName('region', region.region) + '</strong>';
+    const gap = overall - regionOverall;
+    const overallText = gap > 0
+      ? _tpl(I18n.t('summary.country.region_above'), '<strong>' + gap + '</strong>', regionName, '<strong>' + regionOverall + '</strong>')
+      : gap < 0
+        ? _tpl(I18n.t('summary.country.region_below'), '<strong>' + Math.abs(gap) + '</strong>', regionName, '<strong>' + regionOverall + '</strong>')
+        : _tpl(I18n.t('summary.country.region_equal'), regionName, '<strong>' + regionOverall + '</strong>');
+    lines.push(`<div class="summary-line"><span class="summary-icon">🗺️</span><span class="summary-text">${overallText}</span></div>`);
+
+    const regionDiffs = pillars.map(p => ({
+      name: I18n.t(p.name_key),
+      diff: (country.scores[p.id] || 0) - (regionAvgs[p.id] || 0)
+    }));
+    const regionStrengths = regionDiffs.filter(d => d.diff > 5).sort((a, b) => b.diff - a.diff).slice(0, 3);
+    if (regionStrengths.length) {
+      lines.push(`<div class="summary-line"><span class="summary-icon">⬆️</span><span class="summary-text">${_tpl(I18n.t('summary.country.region_strengths'), regionName, '<strong>' + _formatList(regionStrengths.map(s => s.name)) + '</strong>')}</span></div>`);
+    }
+    const regionWeaknesses = regionDiffs.filter(d => d.diff < -5).sort((a, b) => a.diff - b.diff).slice(0, 3);
+    if (regionWeaknesses.length) {
+      lines.push(`<div class="summary-line"><span class="summary-icon">⬇️</span><span class="summary-text">${_tpl(I18n.t('summary.country.region_weaknesses'), regionName, '<strong>' + _formatList(regionWeaknesses.map(w => w.name)) + '</strong>')}</span></div>`);
+    }
+  }
+
   const pol = Data.getPolitics(country.id);
   if (pol) {
-    lines.push(`<div class="summary-line"><span class="summary-icon">🏛️</span><span class="summary-text">${_tpl(I18n.t('summary.country.regime_info'), '<strong>' + I18n.t('pol.regime.' + pol.regime) + '</strong>', '<strong>' + pol.democracy_score + '</strong>')}</span></div>`);
+    lines.push(`<div class="summary-line"><span class="summary-icon">🏛️</span><span class="summary-text">${_tpl(I18n.t('summary.country.regime_info'), '<strong>' + I18n.t('pol.regime.' + pol.regime) + '</strong>', '<strong>' + I18n.formatNumber(pol.democracy_score) + '</strong>')}</span></div>`);
     if (pol.conflict_status && pol.conflict_status !== 'peace') {
       lines.push(`<div class="summary-line"><span class="summary-icon">🔴</span><span class="summary-text">${_tpl(I18n.t('summary.country.conflict'), '<strong>' + I18n.t('peace.status.' + pol.conflict_status) + '</strong>')}</span></div>`);
     }
@@ -311,10 +502,8 @@ function _buildCountrySummary(country, overall, rank, totalCountries) {
 
   const econ = Data.getEconomics(country.id);
   if (econ) {
-    const gdpCap = econ.gdp_per_capita >= 1000
-      ? '$' + (econ.gdp_per_capita / 1000).toFixed(1) + 'K'
-      : '$' + econ.gdp_per_capita;
-    lines.push(`<div class="summary-line"><span class="summary-icon">💰</span><span class="summary-text">${_tpl(I18n.t('summary.country.econ_highlight'), '<strong>' + gdpCap + '</strong>', '<strong>' + econ.unemployment + '</strong>', '<strong>' + econ.inflation + '</strong>')}</span></div>`);
+    const gdpCap = _fmtMoney(econ.gdp_per_capita, country.id);
+    lines.push(`<div class="summary-line"><span class="summary-icon">💰</span><span class="summary-text">${_tpl(I18n.t('summary.country.econ_highlight'), '<strong>' + gdpCap + '</strong>', '<strong>' + I18n.formatNumber(econ.unemployment) + '</strong>', '<strong>' + I18n.formatNumber(econ.inflation) + '</strong>')}</span></div>`);
   }
 
   return lines.join('');
@@ -344,9 +533,9 @@ function _buildWorldSummary() {
   if (allEcon.length) {
     const n = allEcon.length;
     const avgGdpCap = Math.round(allEcon.reduce((s, e) => s + e.gdp_per_capita, 0) / n);
-    const avgUnemp = (allEcon.reduce((s, e) => s + e.unemployment, 0) / n).toFixed(1);
-    const avgInfl = (allEcon.reduce((s, e) => s + e.inflation, 0) / n).toFixed(1);
-    const fmtGdp = avgGdpCap >= 1000 ? '$' + (avgGdpCap / 1000).toFixed(1) + 'K' : '$' + avgGdpCap;
+    const avgUnemp = _fmtDec(allEcon.reduce((s, e) => s + e.unemployment, 0) / n, 1);
+    const avgInfl = _fmtDec(allEcon.reduce((s, e) => s + e.inflation, 0) / n, 1);
+    const fmtGdp = _fmtMoney(avgGdpCap, null);
     parts.push(`<p>${_tpl(I18n.t('summary.world.para3'), '<strong>' + fmtGdp + '</strong>', '<strong>' + avgUnemp + '</strong>', '<strong>' + avgInfl + '</strong>')}</p>`);
   }
 
@@ -418,6 +607,8 @@ function _bindShareButtons(container, shareText, shareUrl) {
 }
 
 function detectPage() {
+  // Prerendered pages (country/norway.html, scripts/prerender.js) name their page
+  if (document.body.dataset.page) return document.body.dataset.page;
   const path = window.location.pathname;
   if (path.includes('country.html')) return 'country';
   if (path.includes('pillar.html')) return 'pillar';
@@ -428,6 +619,8 @@ function detectPage() {
   if (path.includes('press-freedom.html')) return 'press-freedom';
   if (path.includes('life-satisfaction.html')) return 'life-satisfaction';
   if (path.includes('rule-of-law.html')) return 'rule-of-law';
+  if (path.includes('explore.html')) return 'explore';
+  if (path.includes('widgets.html')) return 'widgets';
   if (path.includes('index.html') || path.endsWith('/')) return 'index';
   return 'index';
 }
@@ -522,10 +715,10 @@ function renderGovernanceBar() {
     `<span class="system-tag">${I18n.t('pol.system.' + k)} <strong>${v}</strong></span>`
   ).join('');
 
-  const avgDemocracy = (entries.reduce((s, p) => s + p.democracy_score, 0) / total).toFixed(1);
+  const avgDemocracy = _fmtDec(entries.reduce((s, p) => s + p.democracy_score, 0) / total, 1);
   const avgCorruption = Math.round(entries.reduce((s, p) => s + p.corruption_rank, 0) / total);
   const avgPress = Math.round(entries.reduce((s, p) => s + p.press_freedom_rank, 0) / total);
-  const avgRuleOfLaw = (entries.reduce((s, p) => s + (p.rule_of_law || 0), 0) / total).toFixed(2);
+  const avgRuleOfLaw = entries.reduce((s, p) => s + (p.rule_of_law || 0), 0) / total;
 
   // Helper to get color/label for rank-based indicators (lower = better)
   function rankLevel(rank) {
@@ -565,7 +758,7 @@ function renderGovernanceBar() {
           <span class="ind-icon">\u2696\uFE0F</span>
           <span class="ind-title">${I18n.t('justice.title')}</span>
           <div class="ind-bar-wrap"><div class="ind-bar" style="width:${rolPct}%;background:${rolColor}"></div></div>
-          <span class="ind-label" style="color:${rolColor}">Avg. ${avgRuleOfLaw}</span>
+          <span class="ind-label" style="color:${rolColor}">Avg. ${_fmtDec(avgRuleOfLaw, 2)}</span>
           ${infoBtn('desc.rule_of_law')}
         </div>
         <div class="indicator-meter">
@@ -656,20 +849,17 @@ function renderGlobalEconBar() {
 
   const n = allEcon.length;
   const totalGdp = allEcon.reduce((s, e) => s + e.gdp, 0);
-  const avgInflation = (allEcon.reduce((s, e) => s + e.inflation, 0) / n).toFixed(1);
-  const avgUnemployment = (allEcon.reduce((s, e) => s + e.unemployment, 0) / n).toFixed(1);
-  const avgDebt = (allEcon.reduce((s, e) => s + e.public_debt_pct, 0) / n).toFixed(1);
+  const avgInflation = allEcon.reduce((s, e) => s + e.inflation, 0) / n;
+  const avgUnemployment = allEcon.reduce((s, e) => s + e.unemployment, 0) / n;
+  const avgDebt = allEcon.reduce((s, e) => s + e.public_debt_pct, 0) / n;
   const avgGdpCap = Math.round(allEcon.reduce((s, e) => s + e.gdp_per_capita, 0) / n);
 
-  function fmtT(v) { return `$${(v/1000).toFixed(1)}T`; }
-  function fmtK(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}K` : `$${v}`; }
-
   const items = [
-    { key: 'global.gdp_total', value: fmtT(totalGdp), icon: '\uD83C\uDF0D', desc: 'desc.global_gdp' },
-    { key: 'global.avg_gdp_capita', value: fmtK(avgGdpCap), icon: '\uD83D\uDC64', desc: 'desc.global_gdp_capita' },
-    { key: 'global.avg_inflation', value: `${avgInflation}%`, icon: '\uD83D\uDCC8', desc: 'desc.global_inflation' },
-    { key: 'global.avg_unemployment', value: `${avgUnemployment}%`, icon: '\uD83D\uDCBC', desc: 'desc.global_unemployment' },
-    { key: 'global.avg_debt', value: `${avgDebt}%`, icon: '\uD83C\uDFE6', desc: 'desc.global_debt' }
+    { key: 'global.gdp_total', value: _fmtMoneyBn(totalGdp, null), icon: '\uD83C\uDF0D', desc: 'desc.global_gdp' },
+    { key: 'global.avg_gdp_capita', value: _fmtMoney(avgGdpCap, null), icon: '\uD83D\uDC64', desc: 'desc.global_gdp_capita' },
+    { key: 'global.avg_inflation', value: I18n.formatPercent(avgInflation), icon: '\uD83D\uDCC8', desc: 'desc.global_inflation' },
+    { key: 'global.avg_unemployment', value: I18n.formatPercent(avgUnemployment), icon: '\uD83D\uDCBC', desc: 'desc.global_unemployment' },
+    { key: 'global.avg_debt', value: I18n.formatPercent(avgDebt), icon: '\uD83C\uDFE6', desc: 'desc.global_debt' }
   ];
 
   container.innerHTML = `
@@ -683,6 +873,7 @@ function renderGlobalEconBar() {
             <span class="econ-big-label">${I18n.t(m.key)}</span>
           </div>`).join('')}
       </div>
+      ${_currencyNoteHtml()}
     </div>`;
 }
 
@@ -702,8 +893,6 @@ function renderTopCountries() {
   const allEcon = countries.map(c => ({ country: c, econ: Data.getEconomics(c.id) })).filter(d => d.econ);
   if (!allEcon.length) { container.innerHTML = ''; return; }
 
-  function fmtB(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}T` : `$${v.toFixed(0)}B`; }
-
   const totalGdp = allEcon.reduce((s, d) => s + d.econ.gdp, 0);
   const sorted = allEcon.sort((a, b) => b.econ.gdp - a.econ.gdp);
   const medals = ['🥇', '🥈', '🥉'];
@@ -727,9 +916,8 @@ function renderGlobalTrade() {
   if (!allEcon.length) { container.innerHTML = ''; return; }
 
   const totalExports = allEcon.reduce((s, e) => s + (e.exports || 0), 0);
-  function fmtT(v) { return `$${(v/1000).toFixed(1)}T`; }
 
-  const avgOpenness = (allEcon.reduce((s, e) => s + (e.exports_pct_gdp || 0), 0) / allEcon.length).toFixed(1);
+  const avgOpenness = allEcon.reduce((s, e) => s + (e.exports_pct_gdp || 0), 0) / allEcon.length;
 
   const sorted = countries.map(c => ({ country: c, econ: Data.getEconomics(c.id) })).filter(d => d.econ)
     .sort((a, b) => (b.econ.exports_pct_gdp || 0) - (a.econ.exports_pct_gdp || 0));
@@ -825,23 +1013,23 @@ function renderProsperityPage() {
   const withEcon = countries.map(c => ({ country: c, econ: Data.getEconomics(c.id) })).filter(d => d.econ);
   if (!withEcon.length) { container.innerHTML = ''; return; }
 
-  function fmtB(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}T` : `$${v.toFixed(0)}B`; }
-  function fmtK(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}K` : `$${v}`; }
-
   // Summary stats
   const n = withEcon.length;
-  const totalGdp = withEcon.reduce((s, d) => s + d.econ.gdp, 0);
-  const avgGdpCap = Math.round(withEcon.reduce((s, d) => s + d.econ.gdp_per_capita, 0) / n);
-  const avgInflation = (withEcon.reduce((s, d) => s + d.econ.inflation, 0) / n).toFixed(1);
-  const avgUnemployment = (withEcon.reduce((s, d) => s + d.econ.unemployment, 0) / n).toFixed(1);
-  const avgDebt = (withEcon.reduce((s, d) => s + d.econ.public_debt_pct, 0) / n).toFixed(1);
+  const gdpField = _gdpField('gdp');
+  const capField = _gdpField('gdp_per_capita');
+  const withGdp = withEcon.filter(d => d.econ[capField] != null);
+  const totalGdp = withEcon.reduce((s, d) => s + (d.econ[gdpField] || 0), 0);
+  const avgGdpCap = withGdp.length ? Math.round(withGdp.reduce((s, d) => s + d.econ[capField], 0) / withGdp.length) : null;
+  const avgInflation = withEcon.reduce((s, d) => s + d.econ.inflation, 0) / n;
+  const avgUnemployment = withEcon.reduce((s, d) => s + d.econ.unemployment, 0) / n;
+  const avgDebt = withEcon.reduce((s, d) => s + d.econ.public_debt_pct, 0) / n;
 
   const statsHtml = [
-    { icon: '\uD83C\uDF0D', value: fmtB(totalGdp), key: 'global.gdp_total' },
-    { icon: '\uD83D\uDC64', value: fmtK(avgGdpCap), key: 'global.avg_gdp_capita' },
-    { icon: '\uD83D\uDCC8', value: `${avgInflation}%`, key: 'global.avg_inflation' },
-    { icon: '\uD83D\uDCBC', value: `${avgUnemployment}%`, key: 'global.avg_unemployment' },
-    { icon: '\uD83C\uDFE6', value: `${avgDebt}%`, key: 'global.avg_debt' }
+    { icon: '\uD83C\uDF0D', value: _fmtGdp({ [gdpField]: withGdp.length ? totalGdp : null }, 'gdp', null), key: 'global.gdp_total' },
+    { icon: '\uD83D\uDC64', value: _fmtGdp({ [capField]: avgGdpCap }, 'gdp_per_capita', null), key: 'global.avg_gdp_capita' },
+    { icon: '\uD83D\uDCC8', value: I18n.formatPercent(avgInflation), key: 'global.avg_inflation' },
+    { icon: '\uD83D\uDCBC', value: I18n.formatPercent(avgUnemployment), key: 'global.avg_unemployment' },
+    { icon: '\uD83C\uDFE6', value: I18n.formatPercent(avgDebt), key: 'global.avg_debt' }
   ].map(m => `
     <div class="trade-tile-stat">
       <span class="trade-tile-icon">${m.icon}</span>
@@ -849,23 +1037,22 @@ function renderProsperityPage() {
       <span class="trade-tile-label">${I18n.t(m.key)}</span>
     </div>`).join('');
 
-  // Rank by GDP descending
-  const sorted = withEcon.sort((a, b) => b.econ.gdp - a.econ.gdp);
-
-  const rows = sorted.map((d, i) => {
-    const e = d.econ;
-    const name = I18n.getCountryName(d.country);
-    const thumb = d.country.image ? `<img src="${d.country.image}" alt="" class="rank-thumb" loading="lazy" onerror="this.style.display='none'">` : '';
-    return `<tr>
-      <td class="rank-num">${i + 1}</td>
-      <td><a href="country.html?id=${d.country.id}" class="rank-country-link">${thumb}${name}</a></td>
-      <td class="top-gdp-cell">${fmtB(e.gdp)}</td>
-      <td>${fmtK(e.gdp_per_capita)}</td>
-      <td>${e.public_debt_pct}%</td>
-      <td>${e.unemployment}%</td>
-      <td>${e.inflation}%</td>
-    </tr>`;
-  }).join('');
+  // Ranked by GDP (nominal or PPP, countries without a figure last); the table can be re-sorted and filtered
+  const regionFilter = _currentRegionFilter();
+  const ranked = withEcon.filter(d => Data.matchesRegion(d.country.id, regionFilter))
+    .sort((a, b) => (b.econ[gdpField] ?? -Infinity) - (a.econ[gdpField] ?? -Infinity) || b.econ.gdp - a.econ.gdp)
+    .map((d, i) => ({ rank: i + 1, country: d.country, econ: d.econ }));
+
+  const money = _tableMoney(_gdpBasis() === 'ppp');
+  const columns = [
+    _rankColumn(),
+    _countryColumn(),
+    { key: 'gdp', label: _gdpLabel('gdp'), unit: money.unit(true), numeric: true, cls: 'top-gdp-cell', value: r => money.value(r.econ[gdpField], true), html: r => _fmtGdp(r.econ, 'gdp', r.country.id) },
+    { key: 'gdp_per_capita', label: _gdpBasis() === 'ppp' ? _gdpLabel('gdp_per_capita') : I18n.t('overview.gdp_capita'), unit: money.unit(false), numeric: true, value: r => money.value(r.econ[capField]), html: r => _fmtGdp(r.econ, 'gdp_per_capita', r.country.id) },
+    { key: 'public_debt', label: I18n.t('econ.public_debt'), unit: '%', numeric: true, value: r => r.econ.public_debt_pct, html: r => I18n.formatPercent(r.econ.public_debt_pct) },
+    { key: 'unemployment', label: I18n.t('econ.unemployment'), unit: '%', numeric: true, value: r => r.econ.unemployment, html: r => I18n.formatPercent(r.econ.unemployment) },
+    { key: 'inflation', label: I18n.t('econ.inflation'), unit: '%', numeric: true, value: r => r.econ.inflation, html: r => I18n.formatPercent(r.econ.inflation) }
+  ];
 
   document.title = `${I18n.t('overview.top_countries')} - World Barometer`;
 
@@ -874,20 +1061,17 @@ function renderProsperityPage() {
     <h1>${I18n.t('overview.top_countries')}</h1>
     <div class="pillar-long-desc summary-box">${I18n.t('overview.top_countries.long_desc')}</div>
     <div class="trade-tile-stats" style="margin:1.5rem 0">${statsHtml}</div>
-    <div class="table-wrap"><table class="ranking-table">
-      <thead>
-        <tr>
-          <th>${I18n.t('overview.rank')}</th>
-          <th>${I18n.t('overview.country')}</th>
-          <th>GDP</th>
-          <th>${I18n.t('overview.gdp_capita')}</th>
-          <th>${I18n.t('econ.public_debt')}</th>
-          <th>${I18n.t('econ.unemployment')}</th>
-          <th>${I18n.t('econ.inflation')}</th>
-        </tr>
-      </thead>
-      <tbody>${rows}</tbody>
-    </table></div>`;
+    ${_regionFilterHtml()}
+    ${_basisToggleHtml()}
+    ${_currencyNoteHtml(ranked.map(r => r.country.id))}
+    ${_basisNoteHtml(ranked.map(r => r.econ))}
+    <div id="ranking-table"></div>`;
+
+  DataTable.render(document.getElementById('ranking-table'), {
+    columns, rows: ranked, defaultSort: { key: 'gdp', dir: 'desc' }, exportName: 'prosperity'
+  });
+  _bindRegionFilter(renderProsperityPage);
+  _bindBasisToggle(container, renderProsperityPage);
 }
 
 function renderTradePage() {
@@ -898,16 +1082,14 @@ function renderTradePage() {
   const allEcon = countries.map(c => Data.getEconomics(c.id)).filter(Boolean);
   if (!allEcon.length) { container.innerHTML = ''; return; }
 
-  function fmtB(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}T` : `$${v.toFixed(0)}B`; }
-
   const totalExports = allEcon.reduce((s, e) => s + (e.exports || 0), 0);
   const totalImports = allEcon.reduce((s, e) => s + (e.imports || 0), 0);
-  const avgOpenness = (allEcon.reduce((s, e) => s + (e.exports_pct_gdp || 0), 0) / allEcon.length).toFixed(1);
+  const avgOpenness = allEcon.reduce((s, e) => s + (e.exports_pct_gdp || 0), 0) / allEcon.length;
 
   const statsHtml = [
-    { icon: '\uD83D\uDCE6', value: fmtB(totalExports), key: 'trade.total_exports' },
-    { icon: '\uD83D\uDEA2', value: fmtB(totalImports), key: 'trade.total_imports' },
-    { icon: '\uD83D\uDD04', value: `${avgOpenness}%`, key: 'trade.avg_openness' }
+    { icon: '\uD83D\uDCE6', value: _fmtMoneyBn(totalExports, null), key: 'trade.total_exports' },
+    { icon: '\uD83D\uDEA2', value: _fmtMoneyBn(totalImports, null), key: 'trade.total_imports' },
+    { icon: '\uD83D\uDD04', value: I18n.formatPercent(avgOpenness), key: 'trade.avg_openness' }
   ].map(m => `
     <div class="trade-tile-stat">
       <span class="trade-tile-icon">${m.icon}</span>
@@ -915,31 +1097,40 @@ function renderTradePage() {
       <span class="trade-tile-label">${I18n.t(m.key)}</span>
     </div>`).join('');
 
-  // Full trade table — sorted by exports % GDP
+  // Full trade table — ranked by exports % GDP, re-sortable
   const withCountry = allEcon.map(e => {
     const country = countries.find(c => Data.getEconomics(c.id) === e);
     return { e, country };
   }).filter(d => d.country);
-  const sorted = withCountry.sort((a, b) => (b.e.exports_pct_gdp || 0) - (a.e.exports_pct_gdp || 0));
-
-  const rows = sorted.map((d, i) => {
-    const name = I18n.getCountryName(d.country);
-    const e = d.e;
-    const balance = e.trade_balance != null ? e.trade_balance : (e.exports && e.imports ? e.exports - e.imports : null);
-    const balanceStr = balance != null ? `${balance >= 0 ? '+' : ''}${fmtB(Math.abs(balance))}` : '\u2014';
-    const balanceColor = balance != null ? (balance >= 0 ? '#2E7D32' : '#E53935') : '';
-    const topExports = (e.top_exports || []).slice(0, 3).map(t => I18n.t(exportKey(t))).join(', ');
-    const thumb = d.country.image ? `<img src="${d.country.image}" alt="" class="rank-thumb" loading="lazy" onerror="this.style.display='none'">` : '';
-    return `<tr>
-      <td class="rank-num">${i + 1}</td>
-      <td><a href="country.html?id=${d.country.id}" class="rank-country-link">${thumb}${name}</a></td>
-      <td class="trade-val">${e.exports_pct_gdp || '\u2014'}%</td>
-      <td>${e.exports != null ? fmtB(e.exports) : '\u2014'}</td>
-      <td>${e.imports != null ? fmtB(e.imports) : '\u2014'}</td>
-      <td style="color:${balanceColor};font-weight:600">${balanceStr}</td>
-      <td class="trade-products">${topExports}</td>
-    </tr>`;
-  }).join('');
+  const regionFilter = _currentRegionFilter();
+  const ranked = withCountry.filter(d => Data.matchesRegion(d.country.id, regionFilter))
+    .sort((a, b) => (b.e.exports_pct_gdp || 0) - (a.e.exports_pct_gdp || 0))
+    .map((d, i) => {
+      const e = d.e;
+      const balance = e.trade_balance != null ? e.trade_balance : (e.exports && e.imports ? e.exports - e.imports : null);
+      return { rank: i + 1, country: d.country, e, balance: balance != null ? +balance.toFixed(1) : null };
+    });
+
+  const money = _tableMoney();
+  const columns = [
+    _rankColumn(),
+    _countryColumn(),
+    { key: 'openness', label: I18n.t('trade.openness'), numeric: true, cls: 'trade-val',
+      value: r => r.e.exports_pct_gdp != null ? r.e.exports_pct_gdp : null, html: r => r.e.exports_pct_gdp ? I18n.formatPercent(r.e.exports_pct_gdp) : '\u2014' },
+    { key: 'exports', label: I18n.t('trade.exports'), unit: money.unit(true), numeric: true,
+      value: r => money.value(r.e.exports, true), html: r => r.e.exports != null ? _fmtMoneyBn(r.e.exports, r.country.id) : '\u2014' },
+    { key: 'imports', label: I18n.t('trade.imports'), unit: money.unit(true), numeric: true,
+      value: r => money.value(r.e.imports, true), html: r => r.e.imports != null ? _fmtMoneyBn(r.e.imports, r.country.id) : '\u2014' },
+    { key: 'exports_per_capita', label: I18n.t('trade.exports_per_capita'), unit: money.unit(false), numeric: true,
+      value: r => money.value(r.e.exports_per_capita), html: r => r.e.exports_per_capita != null ? _fmtMoney(r.e.exports_per_capita, r.country.id) : '\u2014' },
+    { key: 'imports_per_capita', label: I18n.t('trade.imports_per_capita'), unit: money.unit(false), numeric: true,
+      value: r => money.value(r.e.imports_per_capita), html: r => r.e.imports_per_capita != null ? _fmtMoney(r.e.imports_per_capita, r.country.id) : '\u2014' },
+    { key: 'balance', label: I18n.t('trade.balance'), unit: money.unit(true), numeric: true, value: r => money.value(r.balance, true),
+      attrs: r => r.balance != null ? `style="color:${r.balance >= 0 ? '#2E7D32' : '#E53935'};font-weight:600"` : '',
+      html: r => r.balance != null ? _fmtMoneyBn(r.balance, r.country.id, { signDisplay: 'exceptZero' }) : '\u2014' },
+    { key: 'top_exports', label: I18n.t('trade.top_exports'), sortable: false, cls: 'trade-products',
+      value: r => (r.e.top_exports || []).slice(0, 3).map(t => I18n.t(exportKey(t))).join(', ') }
+  ];
 
   document.title = `${I18n.t('trade.global_title')} - World Barometer`;
 
@@ -948,27 +1139,20 @@ function renderTradePage() {
     <h1>${I18n.t('trade.global_title')}</h1>
     <div class="pillar-long-desc summary-box">${I18n.t('trade.global_title.long_desc')}</div>
     <div class="trade-tile-stats" style="margin:1.5rem 0">${statsHtml}</div>
-    <div class="table-wrap"><table class="ranking-table">
-      <thead>
-        <tr>
-          <th>${I18n.t('overview.rank')}</th>
-          <th>${I18n.t('overview.country')}</th>
-          <th>${I18n.t('trade.openness')}</th>
-          <th>${I18n.t('trade.exports')}</th>
-          <th>${I18n.t('trade.imports')}</th>
-          <th>${I18n.t('trade.balance')}</th>
-          <th>${I18n.t('trade.top_exports')}</th>
-        </tr>
-      </thead>
-      <tbody>${rows}</tbody>
-    </table></div>`;
+    ${_regionFilterHtml()}
+    ${_currencyNoteHtml(ranked.map(r => r.country.id))}
+    <div id="ranking-table"></div>`;
+
+  DataTable.render(document.getElementById('ranking-table'), {
+    columns, rows: ranked, defaultSort: { key: 'openness', dir: 'desc' }, exportName: 'trade'
+  });
+  _bindRegionFilter(renderTradePage);
 }
 
 function renderPressFreedomPage() {
   const container = document.getElementById('press-freedom-content');
   if (!container) return;
 
-  const countries = Data.getAllCountries();
   const politics = Data.getAllPolitics();
   const entries = Object.entries(politics).filter(([, p]) => p.press_freedom_rank != null);
   if (!entries.length) { container.innerHTML = ''; return; }
@@ -976,7 +1160,7 @@ function renderPressFreedomPage() {
   const n = entries.length;
   const avgRank = Math.round(entries.reduce((s, [, p]) => s + p.press_freedom_rank, 0) / n);
   const bestRank = Math.min(...entries.map(([, p]) => p.press_freedom_rank));
-  const avgDemocracy = (entries.reduce((s, [, p]) => s + p.democracy_score, 0) / n).toFixed(1);
+  const avgDemocracy = _fmtDec(entries.reduce((s, [, p]) => s + p.democracy_score, 0) / n, 1);
 
   const statsHtml = [
     { icon: '📰', value: `${n}`, key: 'overview.countries_tracked' },
@@ -990,20 +1174,20 @@ function renderPressFreedomPage() {
       <span class="trade-tile-label">${I18n.t(m.key)}</span>
     </div>`).join('');
 
-  const sorted = entries.sort((a, b) => a[1].press_freedom_rank - b[1].press_freedom_rank);
-
-  const rows = sorted.map(([id, p], i) => {
-    const c = Data.getCountry(id);
-    const name = c ? I18n.getCountryName(c) : id;
-    const thumb = c && c.image ? `<img src="${c.image}" alt="" class="rank-thumb" loading="lazy" onerror="this.style.display='none'">` : '';
-    return `<tr>
-      <td class="rank-num">${i + 1}</td>
-      <td><a href="country.html?id=${id}" class="rank-country-link">${thumb}${name}</a></td>
-      <td><strong>#${p.press_freedom_rank}</strong></td>
-      <td>${p.democracy_score}/10</td>
-      <td>${I18n.t('pol.regime.' + p.regime)}</td>
-    </tr>`;
-  }).join('');
+  const ranked = entries
+    .filter(([id]) => Data.getCountry(id))
+    .sort((a, b) => a[1].press_freedom_rank - b[1].press_freedom_rank)
+    .map(([id, p], i) => ({ rank: i + 1, country: Data.getCountry(id), p }));
+
+  const columns = [
+    _rankColumn(),
+    _countryColumn(),
+    { key: 'press_rank', label: I18n.t('press.title'), numeric: true, defaultDir: 'asc',
+      value: r => r.p.press_freedom_rank, html: r => `<strong>#${r.p.press_freedom_rank}</strong>` },
+    { key: 'democracy', label: I18n.t('country.democracy'), unit: '0–10', numeric: true,
+      value: r => r.p.democracy_score, html: r => `${I18n.formatNumber(r.p.democracy_score)}/10` },
+    { key: 'regime', label: I18n.t('overview.regime_type'), value: r => I18n.t('pol.regime.' + r.p.regime) }
+  ];
 
   document.title = `${I18n.t('overview.top_press')} - World Barometer`;
 
@@ -1012,34 +1196,24 @@ function renderPressFreedomPage() {
     <h1>${I18n.t('overview.top_press')}</h1>
     <div class="pillar-long-desc summary-box">${I18n.t('overview.top_press.long_desc')}</div>
     <div class="trade-tile-stats" style="margin:1.5rem 0">${statsHtml}</div>
-    <div class="table-wrap"><table class="ranking-table">
-      <thead>
-        <tr>
-          <th>${I18n.t('overview.rank')}</th>
-          <th>${I18n.t('overview.country')}</th>
-          <th>${I18n.t('press.title')}</th>
-          <th>${I18n.t('country.democracy')}</th>
-          <th>${I18n.t('overview.regime_type')}</th>
-        </tr>
-      </thead>
-      <tbody>${rows}</tbody>
-    </table></div>`;
+    <div id="ranking-table"></div>`;
+
+  DataTable.render(document.getElementById('ranking-table'), {
+    columns, rows: ranked, defaultSort: { key: 'press_rank', dir: 'asc' }, exportName: 'press-freedom'
+  });
 }
 
 function renderLifeSatisfactionPage() {
   const container = document.getElementById('life-satisfaction-content');
   if (!container) return;
 
-  const countries = Data.getAllCountries();
   const politics = Data.getAllPolitics();
   const entries = Object.entries(politics).filter(([, p]) => p.happiness_score != null);
   if (!entries.length) { container.innerHTML = ''; return; }
 
   const n = entries.length;
-  const avgScore = (entries.reduce((s, [, p]) => s + p.happiness_score, 0) / n).toFixed(1);
-  const bestScore = Math.max(...entries.map(([, p]) => p.happiness_score)).toFixed(1);
-
-  function fmtK(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}K` : `$${v}`; }
+  const avgScore = _fmtDec(entries.reduce((s, [, p]) => s + p.happiness_score, 0) / n, 1);
+  const bestScore = _fmtDec(Math.max(...entries.map(([, p]) => p.happiness_score)), 1);
 
   const statsHtml = [
     { icon: '😊', value: `${n}`, key: 'overview.countries_tracked' },
@@ -1052,22 +1226,20 @@ function renderLifeSatisfactionPage() {
       <span class="trade-tile-label">${I18n.t(m.key)}</span>
     </div>`).join('');
 
-  const sorted = entries.sort((a, b) => b[1].happiness_score - a[1].happiness_score);
-
-  const rows = sorted.map(([id, p], i) => {
-    const c = Data.getCountry(id);
-    const name = c ? I18n.getCountryName(c) : id;
-    const thumb = c && c.image ? `<img src="${c.image}" alt="" class="rank-thumb" loading="lazy" onerror="this.style.display='none'">` : '';
-    const econ = Data.getEconomics(id);
-    const gdpCap = econ ? fmtK(econ.gdp_per_capita) : '—';
-    return `<tr>
-      <td class="rank-num">${i + 1}</td>
-      <td><a href="country.html?id=${id}" class="rank-country-link">${thumb}${name}</a></td>
-      <td><strong>${p.happiness_score}/10</strong></td>
-      <td>${gdpCap}</td>
-      <td>${I18n.t('pol.regime.' + p.regime)}</td>
-    </tr>`;
-  }).join('');
+  const ranked = entries
+    .filter(([id]) => Data.getCountry(id))
+    .sort((a, b) => b[1].happiness_score - a[1].happiness_score)
+    .map(([id, p], i) => ({ rank: i + 1, country: Data.getCountry(id), p, econ: Data.getEconomics(id) }));
+
+  const columns = [
+    _rankColumn(),
+    _countryColumn(),
+    { key: 'satisfaction', label: I18n.t('satisfaction.title'), unit: '0–10', numeric: true,
+      value: r => r.p.happiness_score, html: r => `<strong>${I18n.formatNumber(r.p.happiness_score)}/10</strong>` },
+    { key: 'gdp_per_capita', label: I18n.t('overview.gdp_capita'), unit: 'USD', numeric: true,
+      value: r => r.econ ? r.econ.gdp_per_capita : null, html: r => r.econ ? _fmtMoney(r.econ.gdp_per_capita, r.country.id) : '—' },
+    { key: 'regime', label: I18n.t('overview.regime_type'), value: r => I18n.t('pol.regime.' + r.p.regime) }
+  ];
 
   document.title = `${I18n.t('overview.top_satisfaction')} - World Barometer`;
 
@@ -1076,32 +1248,25 @@ function renderLifeSatisfactionPage() {
     <h1>${I18n.t('overview.top_satisfaction')}</h1>
     <div class="pillar-long-desc summary-box">${I18n.t('overview.top_satisfaction.long_desc')}</div>
     <div class="trade-tile-stats" style="margin:1.5rem 0">${statsHtml}</div>
-    <div class="table-wrap"><table class="ranking-table">
-      <thead>
-        <tr>
-          <th>${I18n.t('overview.rank')}</th>
-          <th>${I18n.t('overview.country')}</th>
-          <th>${I18n.t('satisfaction.title')}</th>
-          <th>${I18n.t('overview.gdp_capita')}</th>
-          <th>${I18n.t('overview.regime_type')}</th>
-        </tr>
-      </thead>
-      <tbody>${rows}</tbody>
-    </table></div>`;
+    ${_currencyNoteHtml(ranked.filter(r => r.econ).map(r => r.country.id))}
+    <div id="ranking-table"></div>`;
+
+  DataTable.render(document.getElementById('ranking-table'), {
+    columns, rows: ranked, defaultSort: { key: 'satisfaction', dir: 'desc' }, exportName: 'life-satisfaction'
+  });
 }
 
 function renderRuleOfLawPage() {
   const container = document.getElementById('rule-of-law-content');
   if (!container) return;
 
-  const countries = Data.getAllCountries();
   const politics = Data.getAllPolitics();
   const entries = Object.entries(politics).filter(([, p]) => p.rule_of_law != null);
   if (!entries.length) { container.innerHTML = ''; return; }
 
   const n = entries.length;
-  const avgScore = (entries.reduce((s, [, p]) => s + p.rule_of_law, 0) / n).toFixed(2);
-  const bestScore = Math.max(...entries.map(([, p]) => p.rule_of_law)).toFixed(2);
+  const avgScore = _fmtDec(entries.reduce((s, [, p]) => s + p.rule_of_law, 0) / n, 2);
+  const bestScore = _fmtDec(Math.max(...entries.map(([, p]) => p.rule_of_law)), 2);
   const avgCorruption = Math.round(entries.reduce((s, [, p]) => s + p.corruption_rank, 0) / n);
 
   const statsHtml = [
@@ -1116,20 +1281,21 @@ function renderRuleOfLawPage() {
       <span class="trade-tile-label">${I18n.t(m.key)}</span>
     </div>`).join('');
 
-  const sorted = entries.sort((a, b) => b[1].rule_of_law - a[1].rule_of_law);
-
-  const rows = sorted.map(([id, p], i) => {
-    const c = Data.getCountry(id);
-    const name = c ? I18n.getCountryName(c) : id;
-    const thumb = c && c.image ? `<img src="${c.image}" alt="" class="rank-thumb" loading="lazy" onerror="this.style.display='none'">` : '';
-    return `<tr>
-      <td class="rank-num">${i + 1}</td>
-      <td><a href="country.html?id=${id}" class="rank-country-link">${thumb}${name}</a></td>
-      <td><strong>${p.rule_of_law.toFixed(2)}</strong></td>
-      <td>#${p.corruption_rank}</td>
-      <td>${p.democracy_score}/10</td>
-    </tr>`;
-  }).join('');
+  const ranked = entries
+    .filter(([id]) => Data.getCountry(id))
+    .sort((a, b) => b[1].rule_of_law - a[1].rule_of_law)
+    .map(([id, p], i) => ({ rank: i + 1, country: Data.getCountry(id), p }));
+
+  const columns = [
+    _rankColumn(),
+    _countryColumn(),
+    { key: 'rule_of_law', label: I18n.t('justice.title'), unit: '0–1', numeric: true,
+      value: r => r.p.rule_of_law, html: r => `<strong>${_fmtDec(r.p.rule_of_law, 2)}</strong>` },
+    { key: 'corruption_rank', label: I18n.t('corruption.title'), numeric: true, defaultDir: 'asc',
+      value: r => r.p.corruption_rank, html: r => `#${r.p.corruption_rank}` },
+    { key: 'democracy', label: I18n.t('country.democracy'), unit: '0–10', numeric: true,
+      value: r => r.p.democracy_score, html: r => `${I18n.formatNumber(r.p.democracy_score)}/10` }
+  ];
 
   document.title = `${I18n.t('overview.top_rule_of_law')} - World Barometer`;
 
@@ -1138,18 +1304,11 @@ function renderRuleOfLawPage() {
     <h1>${I18n.t('overview.top_rule_of_law')}</h1>
     <div class="pillar-long-desc summary-box">${I18n.t('overview.top_rule_of_law.long_desc')}</div>
     <div class="trade-tile-stats" style="margin:1.5rem 0">${statsHtml}</div>
-    <div class="table-wrap"><table class="ranking-table">
-      <thead>
-        <tr>
-          <th>${I18n.t('overview.rank')}</th>
-          <th>${I18n.t('overview.country')}</th>
-          <th>${I18n.t('justice.title')}</th>
-          <th>${I18n.t('corruption.title')}</th>
-          <th>${I18n.t('country.democracy')}</th>
-        </tr>
-      </thead>
-      <tbody>${rows}</tbody>
-    </table></div>`;
+    <div id="ranking-table"></div>`;
+
+  DataTable.render(document.getElementById('ranking-table'), {
+    columns, rows: ranked, defaultSort: { key: 'rule_of_law', dir: 'desc' }, exportName: 'rule-of-law'
+  });
 }
 
 function renderPillarCards() {
@@ -1179,7 +1338,7 @@ function renderCountry() {
   if (!container) return;
 
   const params = new URLSearchParams(window.location.search);
-  const id = params.get('id');
+  const id = params.get('id') || document.body.dataset.id;
   const country = Data.getCountry(id);
 
   if (!country) {
@@ -1191,13 +1350,20 @@ function renderCountry() {
   const ranking = Data.getRanking('overall');
   const rank = ranking.findIndex(r => r.id === id) + 1;
   const pillars = Data.getPillars();
+  const report = params.get('report') === '1';
+
+  // Report mode captures the charts as images, so they must be drawn at once and sharp on paper
+  if (report && typeof Chart !== 'undefined') {
+    Chart.defaults.animation = false;
+    Chart.defaults.devicePixelRatio = 2;
+  }
 
   const pillarBars = pillars.map(p => {
     const score = country.scores[p.id] || 0;
     const label = Data.getScoreLabel(score);
     return `
       <div class="score-row">
-        <a href="pillar.html?id=${p.id}" class="score-label">${p.icon} ${I18n.t(p.name_key)}</a>
+        <a href="${weightedLink('pillar.html?id=' + p.id)}" class="score-label">${p.icon} ${I18n.t(p.name_key)}</a>
         <div class="score-bar-track">
           <div class="score-bar-fill score-${label}" style="width:${score}%"></div>
         </div>
@@ -1278,7 +1444,7 @@ function renderCountry() {
         <span class="ind-title">${I18n.t('justice.title')}</span>
         <div class="ind-bar-wrap"><div class="ind-bar" style="width:${jPct}%;background:${jColor}"></div></div>
         <span class="ind-label" style="color:${jColor}">${I18n.t(jKey)}</span>
-        <span class="ind-rank">${rl.toFixed(2)}</span>
+        <span class="ind-rank">${_fmtDec(rl, 2)}</span>
         ${infoBtn('desc.rule_of_law')}
       </div>`;
     }
@@ -1310,7 +1476,7 @@ function renderCountry() {
       <div class="country-gov-bar">
         <span class="gov-tag" style="border-color:${regimeColor};color:${regimeColor}">${I18n.t('pol.regime.' + pol.regime)}</span>
         <span class="gov-tag">${I18n.t('pol.system.' + pol.system)}</span>
-        <span class="gov-tag">${I18n.t('country.democracy')}: ${pol.democracy_score}/10</span>
+        <span class="gov-tag">${I18n.t('country.democracy')}: ${I18n.formatNumber(pol.democracy_score)}/10</span>
         <span class="gov-tag">${statusIcons[pol.conflict_status] || ''} ${I18n.t('peace.status.' + pol.conflict_status)}</span>
       </div>
       ${satHtml}
@@ -1329,6 +1495,11 @@ function renderCountry() {
   const coords = country.coords || [0, 0];
   const mapCx = ((coords[1] + 180) / 360) * 100;
   const mapCy = ((90 - coords[0]) / 180) * 70;
+  const region = Data.getRegion(id);
+  const regionTags = region ? `<span class="country-region-tags">${['continent', 'region', 'income']
+    .filter(type => region[type])
+    .map(type => `<a href="${weightedLink('pillar.html?id=overall&region=' + type + ':' + region[type])}" class="country-region-tag">${_regionName(type, region[type])}</a>`)
+    .join('')}</span>` : '';
   const shapePath = (typeof _countryShapes !== 'undefined' && _countryShapes[id]) ? _countryShapes[id] : '';
   const countryMapHtml = `
     <div class="country-map-bar">
@@ -1346,6 +1517,7 @@ function renderCountry() {
       </svg>
       ${shapePath ? `<svg viewBox="0 0 50 50" class="country-shape-svg"><path d="${shapePath}" fill="var(--un-blue)" opacity="0.75" stroke="var(--dark-blue)" stroke-width="0.5"/></svg>` : ''}
       <span class="country-map-label">${name}</span>
+      ${regionTags}
     </div>`;
 
   const countryImg = country.image
@@ -1364,6 +1536,7 @@ function renderCountry() {
       <div class="meta-card">
         <div class="meta-label">${I18n.t('country.overall')}</div>
         <div class="meta-value score-${Data.getScoreLabel(overall)}-text">${overall}/100</div>
+        ${typeof Weights !== 'undefined' && Weights.isCustom() ? `<div class="meta-sub">${I18n.t('weights.custom')}</div>` : ''}
       </div>
       <div class="meta-card">
         <div class="meta-label">${I18n.t('country.rank')}</div>
@@ -1380,26 +1553,327 @@ function renderCountry() {
         <div class="meta-sub">${(() => { const worst = pillars.reduce((a, p) => (country.scores[p.id] || 0) < (country.scores[a.id] || 0) ? p : a); return I18n.t(worst.name_key); })()}</div>
       </div>
     </div>
+    <div id="weights-panel"></div>
     <div id="demo-dashboard"></div>
     <div class="country-section">
       <h2 class="scores-heading">${I18n.t('country.pillar_scores')}</h2>
       <div class="score-bars">${pillarBars}</div>
     </div>
+    <div id="gap-dashboard"></div>
+    <div id="trend-dashboard"></div>
+    <div id="peer-dashboard"></div>
     <div id="econ-dashboard"></div>
+    ${report ? '' : `<div class="report-link-wrap"><a href="${weightedLink('country.html?id=' + id + '&report=1')}" class="report-link">&#128196; ${I18n.t('report.open')}</a></div>`}
     <div id="share-bar-country"></div>`;
 
+  if (typeof Weights !== 'undefined') Weights.renderPanel(document.getElementById('weights-panel'));
   renderDemographicsSection(country);
+  renderGapSection(country);
+  renderTrendSection(country);
+  renderPeerSection(country);
   renderEconomicDashboard(country);
 
   // Share bar
   const shareEl = document.getElementById('share-bar-country');
   if (shareEl) {
-    shareEl.innerHTML = _shareBarHtml();
-    const countryUrl = 'https://world-bar.github.io/country.html?id=' + id;
+    const hasCards = typeof ShareCard !== 'undefined';
+    shareEl.innerHTML = _shareBarHtml() + (hasCards ? ShareCard.toolbarHtml() : '');
+    // The prerendered page, so link previews show this country
+    const countryUrl = 'https://world-bar.github.io/country/' + id + '.html';
     _bindShareButtons(shareEl,
       name + ' — ' + I18n.t('share.country_text'),
       countryUrl);
+    if (hasCards) ShareCard.bind(shareEl, () => ShareCard.countrySvg(country, shapePath), id, name + ' — ' + I18n.t('share.country_text'), countryUrl);
+  }
+
+  if (report) renderCountryReport(country, overall, rank, ranking.length);
+}
+
+// ── Country Report ──
+// country.html?id=norway&report=1: the full profile laid out for print / PDF,
+// with a cover page, charts as images and a sources appendix. The sections are
+// the ones renderCountry() just drew; print CSS drops the interactive parts.
+
+// Print engines clip or rescale canvases; a data URL image prints as drawn
+function _chartsToImages(root) {
+  if (typeof Chart === 'undefined') return;
+  root.querySelectorAll('canvas').forEach(canvas => {
+    const chart = Chart.getChart(canvas);
+    if (!chart) return;
+    const img = document.createElement('img');
+    img.src = chart.toBase64Image();
+    img.alt = '';
+    img.className = 'report-chart-img';
+    canvas.replaceWith(img);
+  });
+}
+
+function renderCountryReport(country, overall, rank, total) {
+  const container = document.getElementById('country-content');
+  if (!container) return;
+  document.body.classList.add('report-mode');
+
+  const name = I18n.getCountryName(country);
+  const lang = I18n.getLang() || 'en';
+  const releases = Data.getReleases();
+  const release = releases.length ? releases[releases.length - 1] : null;
+  const generated = new Date().toLocaleDateString(lang, { year: 'numeric', month: 'long', day: 'numeric' });
+  const url = 'https://world-bar.github.io/country/' + country.id + '.html';
+  const label = Data.getScoreLabel(overall);
+  const custom = typeof Weights !== 'undefined' && Weights.isCustom();
+  document.title = `${name} - ${I18n.t('report.title')} - World Barometer`;
+
+  const toolbar = `
+    <div class="report-toolbar">
+      <a href="${weightedLink('country.html?id=' + country.id)}" class="report-back">&larr; ${I18n.t('report.back')}</a>
+      <button type="button" class="report-print">&#128424; ${I18n.t('report.print')}</button>
+      <span class="report-hint">${I18n.t('report.hint')}</span>
+    </div>`;
+
+  const cover = `
+    <section class="report-cover">
+      <div class="report-brand"><img src="img/logo.png" alt="" class="report-logo">World Barometer</div>
+      <div class="report-kicker">${I18n.t('report.title')}</div>
+      ${country.image ? `<img src="${country.image}" alt="" class="report-flag">` : ''}
+      <h1 class="report-country">${name}</h1>
+      <div class="report-cover-stats">
+        <div><span class="report-cover-value score-${label}-text">${overall}<small>/100</small></span>${I18n.t('country.overall')}</div>
+        <div><span class="report-cover-value">#${rank}<small> / ${total}</small></span>${I18n.t('country.rank')}</div>
+        <div><span class="report-cover-value">${I18n.t('score.' + label)}</span>${I18n.t('map.legend.title')}</div>
+      </div>
+      <dl class="report-cover-meta">
+        <dt>${I18n.t('report.generated')}</dt><dd>${generated}</dd>
+        ${release ? `<dt>${I18n.t('report.release')}</dt><dd>${_formatUpdateDate(release.date)} (${release.id})</dd>` : ''}
+        <dt>${I18n.t('report.weighting')}</dt><dd>${I18n.t(custom ? 'weights.custom' : 'report.weighting_equal')}</dd>
+        <dt>${I18n.t('report.online')}</dt><dd>${url}</dd>
+      </dl>
+    </section>`;
+
+  const sourceRows = Data.getPillars().map(p => `
+    <tr>
+      <td>${p.icon} ${I18n.t(p.name_key)}</td>
+      <td>${I18n.t(p.desc_key)}</td>
+      <td>${(p.sources || []).join(', ')}</td>
+    </tr>`).join('');
+
+  const appendix = `
+    <section class="report-appendix">
+      <h2 class="scores-heading">${I18n.t('report.appendix')}</h2>
+      <h3>${I18n.t('methodology.scoring.title')}</h3>
+      <p>${I18n.t('methodology.scoring.text')}</p>
+      <h3>${I18n.t('methodology.sources.title')}</h3>
+      <table class="compare-econ-table report-sources">
+        <thead><tr><th>${I18n.t('gap.pillar')}</th><th>${I18n.t('report.measures')}</th><th>${I18n.t('ranking.sources')}</th></tr></thead>
+        <tbody>${sourceRows}</tbody>
+      </table>
+      <h3>${I18n.t('methodology.limitations.title')}</h3>
+      <p>${I18n.t('methodology.limitations.text')}</p>
+      <p class="report-cite">${I18n.tf('report.cite', name, release ? release.id : generated, url, generated)}</p>
+    </section>`;
+
+  container.insertAdjacentHTML('afterbegin', toolbar + cover);
+  container.insertAdjacentHTML('beforeend', appendix);
+  _chartsToImages(container);
+  container.querySelector('.report-print').addEventListener('click', () => window.print());
+}
+
+// ── Gap Analysis ──
+// Per pillar: points needed for the next pillar rank, the next score label,
+// the regional and global averages, and one overall rank; plus a simulator
+// that re-ranks the country as pillar scores are dragged up or down.
+
+const SCORE_THRESHOLDS = [20, 40, 60, 80];
+
+// Fewest points added to one pillar that lift the country above its current rank
+// (in that pillar or overall); null when even 100 would not do it
+function _pointsToRankUp(country, pillarId, rankedBy) {
+  const own = country.scores[pillarId] || 0;
+  const current = Data.getRankWith(country.id, country.scores, rankedBy);
+  if (current === 1) return null;
+  for (let d = 1; own + d <= 100; d++) {
+    const scores = Object.assign({}, country.scores, { [pillarId]: own + d });
+    const rank = Data.getRankWith(country.id, scores, rankedBy);
+    if (rank < current) return { points: d, rank };
+  }
+  return null;
+}
+
+function renderGapSection(country) {
+  const container = document.getElementById('gap-dashboard');
+  if (!container) return;
+
+  const pillars = Data.getPillars();
+  const total = Data.getAllCountries().length;
+  const globalAvgs = Data.getGlobalAverages();
+  const regionAvgs = country.region ? Data.getRegionalAverages('region:' + country.region) : {};
+  const overallRank = Data.getRankWith(country.id, country.scores, 'overall');
+
+  const gapCell = (avg, own) => {
+    if (avg == null) return '<td>—</td>';
+    const gap = avg - own;
+    return gap > 0
+      ? `<td data-value="${gap}">${I18n.tf('gap.points', gap)} <span class="gap-target">(${avg})</span></td>`
+      : `<td data-value="0" class="gap-met">✓ <span class="gap-target">(${avg})</span></td>`;
+  };
+
+  const rows = pillars.map(p => {
+    const own = country.scores[p.id] || 0;
+    const pillarRank = Data.getRankWith(country.id, country.scores, p.id);
+    const nextRank = _pointsToRankUp(country, p.id, p.id);
+    const overallUp = _pointsToRankUp(country, p.id, 'overall');
+    const threshold = SCORE_THRESHOLDS.find(t => t > own);
+    return { p, own, pillarRank, nextRank, overallUp, threshold };
+  });
+
+  // Quickest win: fewest pillar points for one overall rank
+  const wins = rows.filter(r => r.overallUp);
+  const quickest = wins.length ? wins.reduce((a, b) => b.overallUp.points < a.overallUp.points ? b : a) : null;
+
+  const tableRows = rows.map(r => `
+    <tr${r === quickest ? ' class="gap-quickest"' : ''}>
+      <td><a href="${weightedLink('pillar.html?id=' + r.p.id)}">${r.p.icon} ${I18n.t(r.p.name_key)}</a></td>
+      <td data-value="${r.own}"><strong>${r.own}</strong></td>
+      <td data-value="${r.pillarRank}">#${r.pillarRank}</td>
+      <td>${r.nextRank ? `${I18n.tf('gap.points', r.nextRank.points)} → #${r.nextRank.rank}` : '—'}</td>
+      <td>${r.threshold ? `${I18n.tf('gap.points', r.threshold - r.own)} → ${I18n.t('score.' + Data.getScoreLabel(r.threshold))}` : '—'}</td>
+      ${gapCell(regionAvgs[r.p.id], r.own)}
+      ${gapCell(globalAvgs[r.p.id], r.own)}
+      <td>${r.overallUp ? `${I18n.tf('gap.points', r.overallUp.points)} → #${r.overallUp.rank}` : '—'}</td>
+    </tr>`).join('');
+
+  const name = I18n.getCountryName(country);
+  const quickestHtml = quickest
+    ? I18n.tf('gap.quickest', quickest.overallUp.points, `${quickest.p.icon} ${I18n.t(quickest.p.name_key)}`, name, quickest.overallUp.rank)
+    : overallRank === 1 ? I18n.tf('gap.top', name) : I18n.t('gap.no_single_pillar');
+
+  const sliders = pillars.map(p => `
+    <label class="gap-slider">
+      <span class="gap-slider-name">${p.icon} ${I18n.t(p.name_key)}</span>
+      <input type="range" min="0" max="100" step="1" value="${country.scores[p.id] || 0}" data-pillar="${p.id}">
+      <span class="gap-slider-value" data-pillar="${p.id}"></span>
+    </label>`).join('');
+
+  container.innerHTML = `
+    <div class="country-section">
+      <h2 class="scores-heading">${I18n.t('gap.title')}</h2>
+      <p class="gap-quickest-text">${quickestHtml}</p>
+      <div class="table-wrap"><table class="compare-econ-table gap-table">
+        <thead><tr>
+          <th>${I18n.t('gap.pillar')}</th>
+          <th>${I18n.t('ranking.score')}</th>
+          <th>${I18n.t('gap.pillar_rank')}</th>
+          <th>${I18n.t('gap.next_rank')}</th>
+          <th>${I18n.t('gap.next_label')}</th>
+          <th>${country.region ? _regionName('region', country.region) : I18n.t('gap.region_avg')}</th>
+          <th>${I18n.t('gap.global_avg')}</th>
+          <th>${I18n.t('gap.overall_rank')}</th>
+        </tr></thead>
+        <tbody>${tableRows}</tbody>
+      </table></div>
+      <p class="currency-note">${I18n.t('gap.note')}</p>
+
+      <h3 class="gap-sim-title">${I18n.t('gap.simulate')}</h3>
+      <p class="gap-sim-result" aria-live="polite"></p>
+      <div class="gap-sliders">${sliders}</div>
+      <button type="button" class="gap-reset">${I18n.t('gap.reset')}</button>
+    </div>`;
+
+  const result = container.querySelector('.gap-sim-result');
+  const baseOverall = Data.getOverallScore(country);
+
+  function simulate() {
+    const scores = Object.assign({}, country.scores);
+    container.querySelectorAll('.gap-slider input').forEach(input => {
+      const pid = input.dataset.pillar;
+      scores[pid] = +input.value;
+      const diff = scores[pid] - (country.scores[pid] || 0);
+      container.querySelector(`.gap-slider-value[data-pillar="${pid}"]`).innerHTML =
+        `${scores[pid]}${diff ? ` <span class="${diff > 0 ? 'trend-up' : 'trend-down'}">${I18n.formatNumber(diff, { signDisplay: 'exceptZero' })}</span>` : ''}`;
+    });
+    const overall = Data.getOverallScore({ scores });
+    const rank = Data.getRankWith(country.id, scores, 'overall');
+    const moved = overallRank - rank;
+    const movedHtml = moved ? ` <span class="trend-delta ${moved > 0 ? 'trend-up' : 'trend-down'}">${moved > 0 ? '&#9650;' : '&#9660;'} ${Math.abs(moved)}</span>` : '';
+    result.innerHTML = `${I18n.t('country.overall')}: <strong>${baseOverall} → ${overall}</strong>
+      (${I18n.t('score.' + Data.getScoreLabel(overall))}) &middot;
+      ${I18n.t('country.rank')}: <strong>#${overallRank} → #${rank}</strong> / ${total}${movedHtml}`;
   }
+
+  container.querySelectorAll('.gap-slider input').forEach(input => input.addEventListener('input', simulate));
+  container.querySelector('.gap-reset').addEventListener('click', () => {
+    container.querySelectorAll('.gap-slider input').forEach(input => { input.value = country.scores[input.dataset.pillar] || 0; });
+    simulate();
+  });
+  simulate();
+}
+
+// ── Peer Group ──
+// Nearest countries by pillar scores (+ optional economy / demographics), kept
+// in the URL: ?peers=economics,demographics&peer_n=9 (at most one compare page full)
+function renderPeerSection(country) {
+  const container = document.getElementById('peer-dashboard');
+  if (!container) return;
+
+  const PEER_COUNTS = [5, COMPARE_MAX - 1];
+  const params = new URLSearchParams(window.location.search);
+  const include = (params.get('peers') || '').split(',').filter(g => g === 'economics' || g === 'demographics');
+  const count = PEER_COUNTS.includes(+params.get('peer_n')) ? +params.get('peer_n') : PEER_COUNTS[0];
+  const peers = Data.getPeers(country.id, { count, include });
+  if (!peers.length) { container.innerHTML = ''; return; }
+
+  const pillars = Data.getPillars();
+  const rows = peers.map((peer, i) => {
+    const other = Data.getCountry(peer.id);
+    // The pillar the peer differs most on
+    const gapId = Object.keys(peer.gaps).sort((a, b) => Math.abs(peer.gaps[b]) - Math.abs(peer.gaps[a]))[0];
+    const gapPillar = gapId && peer.gaps[gapId] ? pillars.find(p => p.id === gapId) : null;
+    const gapHtml = gapPillar
+      ? `<span class="peer-gap" title="${I18n.t(gapPillar.name_key)}">${I18n.tf('peers.largest_gap', gapPillar.icon, I18n.formatNumber(peer.gaps[gapId], { signDisplay: 'exceptZero' }))}</span>`
+      : '';
+    return `
+      <div class="score-row peer-row">
+        <span class="peer-rank">${i + 1}</span>
+        <a href="${weightedLink('country.html?id=' + peer.id)}" class="score-label">${I18n.getCountryName(other)}</a>
+        <div class="score-bar-track">
+          <div class="score-bar-fill peer-bar-fill" style="width:${peer.similarity}%"></div>
+        </div>
+        <span class="score-value">${peer.similarity}</span>
+        ${gapHtml}
+      </div>`;
+  }).join('');
+
+  const compareHref = weightedLink('compare.html?' + [country.id].concat(peers.map(p => p.id)).map(id => 'c=' + id).join('&'));
+  const groupBox = (group, labelKey) => `
+    <label><input type="checkbox" value="${group}"${include.includes(group) ? ' checked' : ''}> ${I18n.t(labelKey)}</label>`;
+
+  container.innerHTML = `
+    <div class="country-section">
+      <h2 class="scores-heading">${I18n.t('peers.title')} ${infoBtn('peers.method')}</h2>
+      <p class="peer-intro">${I18n.tf('peers.intro', I18n.getCountryName(country), pillars.length)}${include.length ? ' ' + I18n.t('peers.intro_features') : ''}</p>
+      <div class="peer-controls">
+        <label>${I18n.t('peers.count')}
+          <select class="peer-count">${PEER_COUNTS.map(n => `<option value="${n}"${n === count ? ' selected' : ''}>${n}</option>`).join('')}</select>
+        </label>
+        <span class="peer-controls-label">${I18n.t('peers.also_match')}</span>
+        ${groupBox('economics', 'indicator.group.economics')}
+        ${groupBox('demographics', 'indicator.group.demographics')}
+      </div>
+      <div class="score-bars peer-list">${rows}</div>
+      <a href="${compareHref}" class="peer-compare-btn">${I18n.tf('peers.compare', peers.length)}</a>
+    </div>`;
+
+  const update = () => {
+    const next = new URLSearchParams(window.location.search);
+    const groups = Array.from(container.querySelectorAll('.peer-controls input:checked')).map(box => box.value);
+    if (groups.length) next.set('peers', groups.join(',')); else next.delete('peers');
+    const n = container.querySelector('.peer-count').value;
+    if (+n !== PEER_COUNTS[0]) next.set('peer_n', n); else next.delete('peer_n');
+    // Keep the ?w= colons readable
+    const qs = next.toString().replace(/%3A/g, ':').replace(/%2C/g, ',');
+    history.replaceState(null, '', window.location.pathname + '?' + qs + window.location.hash);
+    renderPeerSection(country);
+  };
+  container.querySelectorAll('.peer-controls input, .peer-controls select').forEach(el => el.addEventListener('change', update));
 }
 
 // ── Demographics Dashboard ──
@@ -1416,24 +1890,15 @@ function renderDemographicsSection(country) {
   _demoCharts.forEach(c => c.destroy());
   _demoCharts = [];
 
-  function fmtPop(v) {
-    if (v >= 1e9) return (v / 1e9).toFixed(1) + 'B';
-    if (v >= 1e6) return (v / 1e6).toFixed(1) + 'M';
-    if (v >= 1e3) return (v / 1e3).toFixed(1) + 'K';
-    return v.toString();
-  }
-  function fmtGrowth(v) {
-    return (v >= 0 ? '+' : '') + v.toFixed(1) + '%';
-  }
   const growthColor = demo.population_growth >= 0 ? '#2E7D32' : '#E53935';
 
   const metrics = [
-    { key: 'demo.population', value: fmtPop(demo.population), desc: 'desc.population' },
-    { key: 'demo.pop_growth', value: fmtGrowth(demo.population_growth), desc: 'desc.pop_growth', color: growthColor },
-    { key: 'demo.median_age', value: demo.median_age + ' ' + I18n.t('demo.years'), desc: 'desc.median_age' },
-    { key: 'demo.life_exp', value: demo.life_exp_total + ' ' + I18n.t('demo.years'), desc: 'desc.life_exp' },
-    { key: 'demo.literacy', value: demo.literacy_rate + '%', desc: 'desc.literacy' },
-    { key: 'demo.density', value: demo.population_density.toFixed(0) + '/km\u00B2', desc: 'desc.density' }
+    { key: 'demo.population', value: I18n.formatCompact(demo.population), desc: 'desc.population' },
+    { key: 'demo.pop_growth', value: I18n.formatPercent(demo.population_growth, 1, { signDisplay: 'exceptZero' }), desc: 'desc.pop_growth', color: growthColor },
+    { key: 'demo.median_age', value: I18n.formatNumber(demo.median_age) + ' ' + I18n.t('demo.years'), desc: 'desc.median_age' },
+    { key: 'demo.life_exp', value: I18n.formatNumber(demo.life_exp_total) + ' ' + I18n.t('demo.years'), desc: 'desc.life_exp' },
+    { key: 'demo.literacy', value: I18n.formatPercent(demo.literacy_rate), desc: 'desc.literacy' },
+    { key: 'demo.density', value: I18n.formatNumber(Math.round(demo.population_density)) + '/km\u00B2', desc: 'desc.density' }
   ];
 
   const metricCards = metrics.map(m => `
@@ -1444,14 +1909,14 @@ function renderDemographicsSection(country) {
 
   const lifeExpLegend = `
     <div class="econ-legend">
-      <div class="econ-legend-item"><span class="econ-legend-dot" style="background:#42A5F5"></span>${I18n.t('demo.male')}: ${demo.life_exp_male} ${I18n.t('demo.years')}</div>
-      <div class="econ-legend-item"><span class="econ-legend-dot" style="background:#EC407A"></span>${I18n.t('demo.female')}: ${demo.life_exp_female} ${I18n.t('demo.years')}</div>
+      <div class="econ-legend-item"><span class="econ-legend-dot" style="background:#42A5F5"></span>${I18n.t('demo.male')}: ${I18n.formatNumber(demo.life_exp_male)} ${I18n.t('demo.years')}</div>
+      <div class="econ-legend-item"><span class="econ-legend-dot" style="background:#EC407A"></span>${I18n.t('demo.female')}: ${I18n.formatNumber(demo.life_exp_female)} ${I18n.t('demo.years')}</div>
     </div>`;
 
   const fertilityLegend = `
     <div class="econ-legend">
-      <div class="econ-legend-item"><span class="econ-legend-dot" style="background:#FF7043"></span>${I18n.t('demo.fertility')}: ${demo.fertility_rate.toFixed(2)} ${infoBtn('desc.fertility')}</div>
-      <div class="econ-legend-item"><span class="econ-legend-dot" style="background:#78909C"></span>${I18n.t('demo.infant_mortality_short')}: ${demo.infant_mortality.toFixed(1)} ${infoBtn('desc.infant_mortality')}</div>
+      <div class="econ-legend-item"><span class="econ-legend-dot" style="background:#FF7043"></span>${I18n.t('demo.fertility')}: ${_fmtDec(demo.fertility_rate, 2)} ${infoBtn('desc.fertility')}</div>
+      <div class="econ-legend-item"><span class="econ-legend-dot" style="background:#78909C"></span>${I18n.t('demo.infant_mortality_short')}: ${_fmtDec(demo.infant_mortality, 1)} ${infoBtn('desc.infant_mortality')}</div>
     </div>`;
 
   container.innerHTML = `
@@ -1493,12 +1958,12 @@ function renderDemographicsSection(country) {
       const ageLabels = [I18n.t('demo.age_0_14'), I18n.t('demo.age_15_64'), I18n.t('demo.age_65_plus')];
       const ageData = [demo.age_0_14, demo.age_15_64, demo.age_65_plus];
       document.getElementById('legend-age-dist').innerHTML = ageLabels.map((label, i) =>
-        `<div class="econ-legend-item"><span class="econ-legend-dot" style="background:${ageColors[i]}"></span>${label}: ${ageData[i]}%</div>`
+        `<div class="econ-legend-item"><span class="econ-legend-dot" style="background:${ageColors[i]}"></span>${label}: ${I18n.formatPercent(ageData[i])}</div>`
       ).join('');
       _demoCharts.push(new Chart(ageCtx, {
         type: 'doughnut',
         data: { labels: ageLabels, datasets: [{ data: ageData, backgroundColor: ageColors, borderWidth: 2, borderColor: '#fff' }] },
-        options: { responsive: true, plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => `${ctx.label}: ${ctx.parsed}%` } } } }
+        options: { responsive: true, plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => `${ctx.label}: ${I18n.formatPercent(ctx.parsed)}` } } } }
       }));
     }
 
@@ -1509,12 +1974,12 @@ function renderDemographicsSection(country) {
       const urbanLabels = [I18n.t('demo.urban'), I18n.t('demo.rural')];
       const urbanData = [demo.urban_pct, demo.rural_pct];
       document.getElementById('legend-urban-rural').innerHTML = urbanLabels.map((label, i) =>
-        `<div class="econ-legend-item"><span class="econ-legend-dot" style="background:${urbanColors[i]}"></span>${label}: ${urbanData[i]}%</div>`
+        `<div class="econ-legend-item"><span class="econ-legend-dot" style="background:${urbanColors[i]}"></span>${label}: ${I18n.formatPercent(urbanData[i])}</div>`
       ).join('');
       _demoCharts.push(new Chart(urbanCtx, {
         type: 'doughnut',
         data: { labels: urbanLabels, datasets: [{ data: urbanData, backgroundColor: urbanColors, borderWidth: 2, borderColor: '#fff' }] },
-        options: { responsive: true, plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => `${ctx.label}: ${ctx.parsed}%` } } } }
+        options: { responsive: true, plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => `${ctx.label}: ${I18n.formatPercent(ctx.parsed)}` } } } }
       }));
     }
 
@@ -1530,7 +1995,7 @@ function renderDemographicsSection(country) {
         options: {
           indexAxis: 'y',
           responsive: true,
-          plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => `${ctx.parsed.x} ${I18n.t('demo.years')}` } } },
+          plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => `${I18n.formatNumber(ctx.parsed.x)} ${I18n.t('demo.years')}` } } },
           scales: { x: { min: 0, max: 100, ticks: { callback: v => v + ' ' + I18n.t('demo.yr_abbr') } }, y: { grid: { display: false } } }
         }
       }));
@@ -1548,7 +2013,7 @@ function renderDemographicsSection(country) {
         options: {
           indexAxis: 'y',
           responsive: true,
-          plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => `${ctx.parsed.x}` } } },
+          plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => I18n.formatNumber(ctx.parsed.x) } } },
           scales: { x: { min: 0, grid: { color: 'rgba(0,0,0,0.05)' } }, y: { grid: { display: false } } }
         }
       }));
@@ -1556,6 +2021,93 @@ function renderDemographicsSection(country) {
   }
 }
 
+// ── Score Trend ──
+
+let _trendCharts = [];
+
+function renderTrendSection(country) {
+  const container = document.getElementById('trend-dashboard');
+  if (!container) return;
+
+  _trendCharts.forEach(c => c.destroy());
+  _trendCharts = [];
+
+  const overallHistory = Data.getScoreHistory(country.id, 'overall');
+  if (!overallHistory.length) { container.innerHTML = ''; return; }
+
+  const pillars = Data.getPillars();
+  const releaseIds = overallHistory.map(h => h.release);
+  const series = [
+    { id: 'overall', name: I18n.t('trend.overall'), color: '#005a87', history: overallHistory }
+  ].concat(pillars.map(p => ({
+    id: p.id, name: I18n.t(p.name_key), color: p.color, history: Data.getScoreHistory(country.id, p.id)
+  })));
+
+  function deltaHtml(history) {
+    if (history.length < 2) return '';
+    const diff = history[history.length - 1].score - history[history.length - 2].score;
+    if (diff > 0) return `<span class="trend-delta trend-up">&#9650; ${diff}</span>`;
+    if (diff < 0) return `<span class="trend-delta trend-down">&#9660; ${Math.abs(diff)}</span>`;
+    return `<span class="trend-delta trend-flat">&#9679; 0</span>`;
+  }
+
+  const latest = overallHistory[overallHistory.length - 1];
+  let introText;
+  if (overallHistory.length < 2) {
+    introText = _tpl(I18n.t('trend.single_release'), '<strong>' + _formatUpdateDate(latest.date) + '</strong>');
+  } else {
+    const prev = overallHistory[overallHistory.length - 2];
+    introText = `${_tpl(I18n.t('trend.since'), '<strong>' + _formatUpdateDate(prev.date) + '</strong>')} ${deltaHtml(overallHistory)}`;
+  }
+
+  const legend = series.map(s => {
+    const last = s.history.length ? s.history[s.history.length - 1].score : '—';
+    return `<div class="econ-legend-item"><span class="econ-legend-dot" style="background:${s.color}"></span>${s.name}: ${last} ${deltaHtml(s.history)}</div>`;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="country-section">
+      <h2 class="scores-heading">${I18n.t('trend.title')}</h2>
+      <p class="trend-intro">${introText}</p>
+      <div class="econ-chart-box trend-chart-box">
+        <canvas id="chart-trend"></canvas>
+        <div class="econ-legend">${legend}</div>
+      </div>
+    </div>`;
+
+  if (typeof Chart !== 'undefined') {
+    const trendCtx = document.getElementById('chart-trend');
+    if (trendCtx) {
+      _trendCharts.push(new Chart(trendCtx, {
+        type: 'line',
+        data: {
+          labels: overallHistory.map(h => _formatUpdateDate(h.date)),
+          datasets: series.map(s => {
+            const byRelease = {};
+            s.history.forEach(h => { byRelease[h.release] = h.score; });
+            const isOverall = s.id === 'overall';
+            return {
+              label: s.name,
+              data: releaseIds.map(r => byRelease[r] != null ? byRelease[r] : null),
+              borderColor: s.color,
+              backgroundColor: s.color,
+              borderWidth: isOverall ? 3 : 1.5,
+              pointRadius: isOverall ? 4 : 2,
+              tension: 0.2,
+              spanGaps: true
+            };
+          })
+        },
+        options: {
+          responsive: true,
+          plugins: { legend: { display: false } },
+          scales: { y: { min: 0, max: 100, ticks: { stepSize: 20 }, grid: { color: 'rgba(0,0,0,0.05)' } }, x: { grid: { display: false } } }
+        }
+      }));
+    }
+  }
+}
+
 // Track chart instances for cleanup on re-render
 let _econCharts = [];
 
@@ -1573,16 +2125,13 @@ function renderEconomicDashboard(country) {
   _econCharts.forEach(c => c.destroy());
   _econCharts = [];
 
-  function fmtB(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}T` : `$${v.toFixed(0)}B`; }
-  function fmtK(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}K` : `$${v.toFixed(0)}`; }
-
   const metrics = [
-    { key: 'econ.gdp', value: fmtB(econ.gdp), desc: 'desc.gdp' },
-    { key: 'econ.gdp_per_capita', value: fmtK(econ.gdp_per_capita), desc: 'desc.gdp_per_capita' },
-    { key: 'econ.public_debt', value: `${econ.public_debt_pct}%`, desc: 'desc.public_debt' },
-    { key: 'econ.unemployment', value: `${econ.unemployment}%`, desc: 'desc.unemployment' },
-    { key: 'econ.inflation', value: `${econ.inflation}%`, desc: 'desc.inflation' },
-    { key: 'econ.gni_per_capita', value: fmtK(econ.gni_per_capita), desc: 'desc.gni_per_capita' }
+    { key: 'econ.' + _gdpField('gdp'), value: _fmtGdp(econ, 'gdp', country.id), desc: 'desc.' + _gdpField('gdp') },
+    { key: 'econ.' + _gdpField('gdp_per_capita'), value: _fmtGdp(econ, 'gdp_per_capita', country.id), desc: 'desc.' + _gdpField('gdp_per_capita') },
+    { key: 'econ.public_debt', value: I18n.formatPercent(econ.public_debt_pct), desc: 'desc.public_debt' },
+    { key: 'econ.unemployment', value: I18n.formatPercent(econ.unemployment), desc: 'desc.unemployment' },
+    { key: 'econ.inflation', value: I18n.formatPercent(econ.inflation), desc: 'desc.inflation' },
+    { key: 'econ.gni_per_capita', value: _fmtMoney(econ.gni_per_capita, country.id), desc: 'desc.gni_per_capita' }
   ];
 
   const metricCards = metrics.map(m => `
@@ -1596,21 +2145,21 @@ function renderEconomicDashboard(country) {
 
   const revLegend = revKeys.map((k, i) => {
     const colors = ['#2E7D32', '#4CAF50', '#81C784', '#C8E6C9'];
-    return `<div class="econ-legend-item"><span class="econ-legend-dot" style="background:${colors[i]}"></span>${I18n.t('econ.rev.' + k)}: ${econ.revenue[k]}% ${infoBtn('desc.rev.' + k)}</div>`;
+    return `<div class="econ-legend-item"><span class="econ-legend-dot" style="background:${colors[i]}"></span>${I18n.t('econ.rev.' + k)}: ${I18n.formatPercent(econ.revenue[k])} ${infoBtn('desc.rev.' + k)}</div>`;
   }).join('');
 
   const expColors = ['#1565C0', '#42A5F5', '#7E57C2', '#EF5350', '#FF7043', '#FFA726', '#78909C', '#BDBDBD'];
   const expLegend = expKeys.map((k, i) =>
-    `<div class="econ-legend-item"><span class="econ-legend-dot" style="background:${expColors[i]}"></span>${I18n.t('econ.exp.' + k)}: ${econ.expenditure[k]}% ${infoBtn('desc.exp.' + k)}</div>`
+    `<div class="econ-legend-item"><span class="econ-legend-dot" style="background:${expColors[i]}"></span>${I18n.t('econ.exp.' + k)}: ${I18n.formatPercent(econ.expenditure[k])} ${infoBtn('desc.exp.' + k)}</div>`
   ).join('');
 
   // Trade section
   let tradeHtml = '';
   if (econ.exports != null) {
     const balance = econ.trade_balance || (econ.exports - econ.imports);
-    const balanceSign = balance >= 0 ? '+' : '';
     const balanceColor = balance >= 0 ? '#2E7D32' : '#E53935';
     const topExports = (econ.top_exports || []).map(t => `<span class="trade-tag">${exportIcon(t)} ${I18n.t(exportKey(t))}</span>`).join('');
+    const perCapita = v => v != null ? `<div class="econ-metric-sub">${I18n.tf('trade.per_capita', _fmtMoney(v, country.id))}</div>` : '';
 
     tradeHtml = `
     <div class="country-section">
@@ -1618,19 +2167,21 @@ function renderEconomicDashboard(country) {
       <div class="econ-metrics econ-metrics-4">
         <div class="econ-metric">
           <div class="econ-metric-label">${I18n.t('trade.exports')}</div>
-          <div class="econ-metric-value">${fmtB(econ.exports)} ${infoBtn('desc.trade_exports')}</div>
+          <div class="econ-metric-value">${_fmtMoneyBn(econ.exports, country.id)} ${infoBtn('desc.trade_exports')}</div>
+          ${perCapita(econ.exports_per_capita)}
         </div>
         <div class="econ-metric">
           <div class="econ-metric-label">${I18n.t('trade.imports')}</div>
-          <div class="econ-metric-value">${fmtB(econ.imports)} ${infoBtn('desc.trade_imports')}</div>
+          <div class="econ-metric-value">${_fmtMoneyBn(econ.imports, country.id)} ${infoBtn('desc.trade_imports')}</div>
+          ${perCapita(econ.imports_per_capita)}
         </div>
         <div class="econ-metric">
           <div class="econ-metric-label">${I18n.t('trade.balance')}</div>
-          <div class="econ-metric-value" style="color:${balanceColor}">${balanceSign}${fmtB(Math.abs(balance))} ${infoBtn('desc.trade_balance')}</div>
+          <div class="econ-metric-value" style="color:${balanceColor}">${_fmtMoneyBn(balance, country.id, { signDisplay: 'exceptZero' })} ${infoBtn('desc.trade_balance')}</div>
         </div>
         <div class="econ-metric">
           <div class="econ-metric-label">${I18n.t('trade.openness')}</div>
-          <div class="econ-metric-value">${econ.exports_pct_gdp || '—'}% ${infoBtn('desc.trade_openness')}</div>
+          <div class="econ-metric-value">${econ.exports_pct_gdp ? I18n.formatPercent(econ.exports_pct_gdp) : '—'} ${infoBtn('desc.trade_openness')}</div>
         </div>
       </div>
       ${topExports ? `<div class="trade-tags-section"><span class="trade-tags-label">${I18n.t('trade.top_exports')}:</span> ${topExports}</div>` : ''}
@@ -1641,10 +2192,8 @@ function renderEconomicDashboard(country) {
   let currencyHtml = '';
   if (econ.currency_code) {
     const isUSD = econ.currency_code === 'USD';
-    const numLocale = I18n.getLang() || 'en';
-    const fmtInt = v => v.toLocaleString(numLocale, {maximumFractionDigits: 0});
-    const fmtDec = v => v.toLocaleString(numLocale, {minimumFractionDigits: 2, maximumFractionDigits: 2});
-    const localGdpPc = isUSD ? '' : ` ≈ ${econ.currency_symbol} ${fmtInt(econ.gdp_per_capita * econ.usd_exchange)}`;
+    const local = { currencyDisplay: 'narrowSymbol' };
+    const localGdpPc = isUSD ? '' : ` ≈ ${I18n.formatCurrency(econ.gdp_per_capita * econ.usd_exchange, econ.currency_code, local)}`;
     currencyHtml = `
       <div class="currency-box">
         <div class="currency-main">
@@ -1653,8 +2202,8 @@ function renderEconomicDashboard(country) {
             <strong>${econ.currency_name}</strong> <span class="currency-code">(${econ.currency_code})</span>
           </div>
         </div>
-        ${!isUSD ? `<div class="currency-rate">1 USD = ${econ.currency_symbol} ${fmtDec(econ.usd_exchange)}</div>` : ''}
-        ${localGdpPc ? `<div class="currency-local-gdp">${I18n.t('econ.gdp_per_capita')}: $${fmtInt(econ.gdp_per_capita)}${localGdpPc}</div>` : ''}
+        ${!isUSD ? `<div class="currency-rate">${I18n.formatCurrency(1)} = ${I18n.formatCurrency(econ.usd_exchange, econ.currency_code, Object.assign({ minimumFractionDigits: 2, maximumFractionDigits: 2 }, local))}</div>` : ''}
+        ${localGdpPc ? `<div class="currency-local-gdp">${I18n.t('econ.gdp_per_capita')}: ${I18n.formatCurrency(econ.gdp_per_capita)}${localGdpPc}</div>` : ''}
       </div>`;
   }
 
@@ -1662,7 +2211,10 @@ function renderEconomicDashboard(country) {
     <div class="country-section">
       <h2 class="scores-heading">${I18n.t('econ.title')}</h2>
       ${currencyHtml}
+      ${_basisToggleHtml()}
       <div class="econ-metrics">${metricCards}</div>
+      ${_currencyNoteHtml([country.id])}
+      ${_basisNoteHtml([econ])}
       <div class="econ-charts">
         <div class="econ-chart-box">
           <h3>${I18n.t('econ.revenue_title')}</h3>
@@ -1678,6 +2230,8 @@ function renderEconomicDashboard(country) {
     </div>
     ${tradeHtml}`;
 
+  _bindBasisToggle(container, () => renderEconomicDashboard(country));
+
   // Create charts after DOM insertion
   if (typeof Chart !== 'undefined') {
     const revCtx = document.getElementById('chart-revenue');
@@ -1699,7 +2253,7 @@ function renderEconomicDashboard(country) {
           responsive: true,
           plugins: {
             legend: { display: false },
-            tooltip: { callbacks: { label: ctx => `${ctx.label}: ${ctx.parsed}%` } }
+            tooltip: { callbacks: { label: ctx => `${ctx.label}: ${I18n.formatPercent(ctx.parsed)}` } }
           }
         }
       }));
@@ -1721,7 +2275,7 @@ function renderEconomicDashboard(country) {
           responsive: true,
           plugins: {
             legend: { display: false },
-            tooltip: { callbacks: { label: ctx => `${ctx.label}: ${ctx.parsed}%` } }
+            tooltip: { callbacks: { label: ctx => `${ctx.label}: ${I18n.formatPercent(ctx.parsed)}` } }
           }
         }
       }));
@@ -1734,7 +2288,7 @@ function renderPillar() {
   if (!container) return;
 
   const params = new URLSearchParams(window.location.search);
-  const id = params.get('id') || 'overall';
+  const id = params.get('id') || document.body.dataset.id || 'overall';
   const pillar = Data.getPillar(id);
   const pillars = Data.getPillars();
 
@@ -1742,32 +2296,29 @@ function renderPillar() {
   const pillarIcon = pillar ? pillar.icon : '\ud83c\udf10';
   document.title = `${pillarName} - World Barometer`;
 
-  const ranking = Data.getRanking(id);
+  const regionFilter = _currentRegionFilter();
+  const ranking = Data.getRanking(id).filter(r => Data.matchesRegion(r.id, regionFilter));
 
-  // Pillar selector tabs
+  // Pillar selector tabs (keep the region filter when switching pillar)
+  const tabHref = pid => weightedLink('pillar.html?id=' + pid + (regionFilter ? '&region=' + encodeURIComponent(regionFilter) : ''));
   const tabs = `
     <div class="pillar-tabs">
-      <a href="pillar.html?id=overall" class="pillar-tab ${id === 'overall' ? 'active' : ''}">\ud83c\udf10 ${I18n.t('ranking.all_pillars')}</a>
+      <a href="${tabHref('overall')}" class="pillar-tab ${id === 'overall' ? 'active' : ''}">\ud83c\udf10 ${I18n.t('ranking.all_pillars')}</a>
       ${pillars.map(p => `
-        <a href="pillar.html?id=${p.id}" class="pillar-tab ${p.id === id ? 'active' : ''}" style="${p.id === id ? 'border-color:' + p.color : ''}">${p.icon} ${I18n.t(p.name_key)}</a>
+        <a href="${tabHref(p.id)}" class="pillar-tab ${p.id === id ? 'active' : ''}" style="${p.id === id ? 'border-color:' + p.color : ''}">${p.icon} ${I18n.t(p.name_key)}</a>
       `).join('')}
     </div>`;
 
-  const rows = ranking.map((r, i) => {
-    const c = Data.getCountry(r.id);
-    const thumb = c && c.image ? `<img src="${c.image}" alt="" class="rank-thumb" loading="lazy" onerror="this.style.display='none'">` : '';
-    return `
-    <tr>
-      <td class="rank-num">${i + 1}</td>
-      <td><a href="country.html?id=${r.id}" class="rank-country-link">${thumb}${I18n.getCountryName({ name: r.name, id: r.id })}</a></td>
-      <td>
+  const rows = ranking.map((r, i) => ({ rank: i + 1, country: Data.getCountry(r.id), score: r.score }));
+  const columns = [
+    _rankColumn('ranking.rank'),
+    _countryColumn('ranking.country'),
+    { key: 'score', label: I18n.t('ranking.score'), numeric: true, value: r => r.score, html: r => `
         <div class="rank-bar-wrap">
           <div class="rank-bar score-${Data.getScoreLabel(r.score)}" style="width:${r.score}%"></div>
           <span class="rank-score">${r.score}</span>
-        </div>
-      </td>
-    </tr>`;
-  }).join('');
+        </div>` }
+  ];
 
   const sourcesHtml = pillar && pillar.sources
     ? `<div class="sources"><h3>${I18n.t('ranking.sources')}</h3><ul>${pillar.sources.map(s => `<li>${s}</li>`).join('')}</ul></div>`
@@ -1783,22 +2334,112 @@ function renderPillar() {
       return longText && longText !== longKey ? `<div class="pillar-long-desc summary-box">${longText}</div>` : '';
     })()}
     ${tabs}
-    <div class="table-wrap"><table class="ranking-table">
-      <thead>
-        <tr>
-          <th>${I18n.t('ranking.rank')}</th>
-          <th>${I18n.t('ranking.country')}</th>
-          <th>${I18n.t('ranking.score')}</th>
-        </tr>
-      </thead>
-      <tbody>${rows}</tbody>
-    </table></div>
+    ${id === 'overall' ? '<div id="weights-panel"></div>' : ''}
+    ${_regionFilterHtml()}
+    <div id="ranking-table"></div>
     ${sourcesHtml}`;
+
+  DataTable.render(document.getElementById('ranking-table'), {
+    columns, rows, defaultSort: { key: 'score', dir: 'desc' }, exportName: 'ranking-' + id
+  });
+
+  if (id === 'overall' && typeof Weights !== 'undefined') {
+    Weights.renderPanel(document.getElementById('weights-panel'));
+  }
+  _bindRegionFilter(renderPillar);
 }
 
 // Track compare chart instances for cleanup
 let _compareCharts = [];
 
+const COMPARE_MAX = 10;
+const COMPARE_PALETTE = ['#009edb', '#e53935', '#2E7D32', '#f9a825', '#8e24aa', '#00897b', '#6d4c41', '#d81b60', '#3949ab', '#7cb342'];
+
+// Beyond the fixed palette, spread extra hues around the colour wheel
+function _compareColor(i) {
+  if (i < COMPARE_PALETTE.length) return COMPARE_PALETTE[i];
+  const hue = Math.round((i * 137.508) % 360);
+  return `hsl(${hue}, 65%, 45%)`;
+}
+
+// Hex for the palette (so alpha can be appended), hsla for generated colours
+function _compareFill(color, alpha) {
+  if (color.startsWith('#')) return color + Math.round(alpha * 255).toString(16).padStart(2, '0');
+  return color.replace('hsl(', 'hsla(').replace(')', `, ${alpha})`);
+}
+
+function _aggregateName(aggId) {
+  const parts = aggId.split(':');
+  if (parts[1] === 'global') return I18n.t('compare.agg.global');
+  const top = /^top(\d+)$/.exec(parts[1] || '');
+  if (top) return _tpl(I18n.t('compare.agg.top'), top[1]);
+  return _tpl(I18n.t('compare.agg.region'), _regionName(parts[1], parts[2]));
+}
+
+// A country or a synthetic benchmark, in the shape the compare view needs
+function _compareEntity(id) {
+  if (id.startsWith('avg:')) {
+    const agg = Data.getAggregate(id);
+    if (!agg) return null;
+    return {
+      id, name: _aggregateName(id), scores: agg.scores, isAggregate: true,
+      econ: agg.economics, demo: agg.demographics, pol: agg.politics
+    };
+  }
+  const c = Data.getCountry(id);
+  if (!c) return null;
+  return {
+    id, name: I18n.getCountryName(c), scores: c.scores, country: c,
+    econ: Data.getEconomics(id), demo: Data.getDemographics(id), pol: Data.getPolitics(id)
+  };
+}
+
+/**
+ * Metric-per-row table with one column per compared entity.
+ * metrics: [{ key, unit?, raw(rec), fn(rec, entity), better?: 'higher' | 'lower', rank?(rec) }]
+ * The best value in a row is highlighted when the metric has a direction;
+ * rank() maps categorical values (regime, conflict) to a comparable number;
+ * their raw() is the translated label so exports carry readable text.
+ */
+function _compareTableHtml(selected, source, metrics, titleKey, exportName, note = '') {
+  if (!selected.some(e => source(e))) return '';
+
+  const headerCols = selected.map(e => `<th${e.isAggregate ? ' class="compare-agg-col"' : ''}>${_escHtml(e.name)}</th>`).join('');
+  const rows = metrics.map(m => {
+    const recs = selected.map(source);
+    const score = rec => {
+      if (!rec || m.raw(rec) == null) return null;
+      return m.rank ? m.rank(rec) : m.raw(rec);
+    };
+    const scores = recs.map(score);
+    const known = scores.filter(v => v != null);
+    let best = null;
+    if (m.better && known.length > 1 && new Set(known).size > 1) {
+      best = m.better === 'higher' ? Math.max(...known) : Math.min(...known);
+    }
+
+    const cells = recs.map((rec, i) => {
+      const raw = rec ? m.raw(rec) : null;
+      if (raw == null) return '<td>—</td>';
+      const cls = best != null && scores[i] === best ? ' class="compare-best"' : '';
+      return `<td data-value="${_escHtml(raw)}"${cls}>${m.fn(rec, selected[i])}</td>`;
+    }).join('');
+    const label = I18n.t(m.key);
+    return `<tr><td data-value="${m.unit && !label.includes(m.unit) ? `${label} (${m.unit})` : label}"><strong>${label}</strong></td>${cells}</tr>`;
+  }).join('');
+
+  return `
+    <div class="compare-section">
+      <h2>${I18n.t(titleKey)}</h2>
+      ${_exportBarHtml(exportName)}
+      <div class="table-wrap"><table class="compare-econ-table">
+        <thead><tr><th data-label="${I18n.t('export.indicator')}"></th>${headerCols}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table></div>
+      ${note}
+    </div>`;
+}
+
 function renderCompare() {
   const container = document.getElementById('compare-content');
   if (!container) return;
@@ -1808,77 +2449,93 @@ function renderCompare() {
   _compareCharts = [];
 
   const params = new URLSearchParams(window.location.search);
-  const ids = params.getAll('c').slice(0, 3);
+  const ids = params.getAll('c').filter((id, i, all) => all.indexOf(id) === i).slice(0, COMPARE_MAX);
   const countries = Data.getAllCountries();
   const lang = I18n.getLang();
   const pillars = Data.getPillars();
 
+  const selected = ids.map(_compareEntity).filter(Boolean);
+  const chosen = selected.map(e => e.id);
+  const full = chosen.length >= COMPARE_MAX;
+
   const sorted = countries.slice().sort((a, b) =>
     I18n.getCountryName(a).localeCompare(I18n.getCountryName(b), lang)
   );
 
-  // Build picker selects
-  const selCount = 3;
-  const selectsHtml = Array.from({ length: selCount }, (_, i) => {
-    const sel = ids[i] || '';
-    const options = sorted.map(c => {
-      const name = I18n.getCountryName(c);
-      return `<option value="${c.id}" ${c.id === sel ? 'selected' : ''}>${name}</option>`;
-    }).join('');
-    return `<select id="compare-sel-${i}">
-      <option value="">${i < 2 ? I18n.t('compare.select_country') : I18n.t('compare.add_country')}</option>
-      ${options}
-    </select>`;
-  }).join('');
+  // Chips for the current selection, plus pickers for countries and benchmarks
+  const chipsHtml = selected.map((e, i) => `
+    <span class="compare-chip${e.isAggregate ? ' compare-chip-agg' : ''}" style="border-color:${_compareColor(i)}">
+      <span class="compare-chip-dot" style="background:${_compareColor(i)}"></span>
+      ${_escHtml(e.name)}
+      <button type="button" class="compare-chip-remove" data-id="${_escHtml(e.id)}" aria-label="${I18n.t('compare.remove')}" title="${I18n.t('compare.remove')}">&times;</button>
+    </span>`).join('');
+
+  const countryOptions = sorted.filter(c => !chosen.includes(c.id))
+    .map(c => `<option value="${_escHtml(c.id)}">${_escHtml(I18n.getCountryName(c))}</option>`).join('');
+
+  const aggOption = id => chosen.includes(id) ? '' : `<option value="${_escHtml(id)}">${_escHtml(_aggregateName(id))}</option>`;
+  const benchmarkOptions = `
+    <optgroup label="${I18n.t('compare.benchmarks')}">${aggOption('avg:global')}${aggOption('avg:top10')}</optgroup>
+    ${_regionOptgroups(null, 'avg:', chosen)}`;
 
   container.innerHTML = `
     <a href="index.html" class="back-link">&larr; ${I18n.t('country.back')}</a>
     <h1 class="page-title">${I18n.t('compare.title')}</h1>
-    <p class="page-intro">${I18n.t('compare.intro')}</p>
+    <p class="page-intro">${_tpl(I18n.t('compare.intro_benchmarks'), COMPARE_MAX)}</p>
     <div class="compare-picker">
-      ${selectsHtml}
-      <button class="compare-btn" id="compare-go">${I18n.t('compare.btn')}</button>
+      <div class="compare-chips">${chipsHtml}</div>
+      <select id="compare-add-country"${full ? ' disabled' : ''}>
+        <option value="">${I18n.t('compare.add_country')}</option>
+        ${countryOptions}
+      </select>
+      <select id="compare-add-benchmark"${full ? ' disabled' : ''}>
+        <option value="">${I18n.t('compare.add_benchmark')}</option>
+        ${benchmarkOptions}
+      </select>
     </div>
     <div id="compare-results"></div>`;
 
-  document.getElementById('compare-go').addEventListener('click', () => {
-    const chosen = [];
-    for (let i = 0; i < selCount; i++) {
-      const v = document.getElementById(`compare-sel-${i}`).value;
-      if (v) chosen.push(v);
-    }
-    if (chosen.length < 2) return;
-    const url = 'compare.html?' + chosen.map(c => `c=${c}`).join('&');
-    window.location.href = url;
+  function setSelection(next) {
+    const query = next.map(id => `c=${id}`).join('&');
+    const params = new URLSearchParams(window.location.search);
+    const keep = ['w', 'basis', 'lang'].filter(k => params.get(k)).map(k => `&${k}=${params.get(k)}`).join('');
+    history.replaceState(null, '', window.location.pathname + '?' + query + keep);
+    renderCompare();
+  }
+
+  ['compare-add-country', 'compare-add-benchmark'].forEach(selId => {
+    const sel = document.getElementById(selId);
+    sel.addEventListener('change', () => {
+      if (sel.value) setSelection(chosen.concat(sel.value));
+    });
+  });
+  container.querySelectorAll('.compare-chip-remove').forEach(btn => {
+    btn.addEventListener('click', () => setSelection(chosen.filter(id => id !== btn.dataset.id)));
   });
 
   // If we have valid selections, render results
-  const selected = ids.map(id => Data.getCountry(id)).filter(Boolean);
   if (selected.length < 2) {
     document.getElementById('compare-results').innerHTML =
       `<div class="compare-hint">${I18n.t('compare.select_hint')}</div>`;
     return;
   }
 
-  const compareColors = ['#009edb', '#e53935', '#2E7D32'];
-
   // Radar chart
   const radarHtml = `
     <div class="compare-section">
       <h2>${I18n.t('compare.radar_title')}</h2>
       <div class="compare-radar-wrap"><canvas id="compare-radar"></canvas></div>
+      ${typeof ShareCard !== 'undefined' ? ShareCard.toolbarHtml() : ''}
     </div>`;
 
   // Grouped pillar bars
   const barsHtml = pillars.map(p => {
-    const bars = selected.map((c, i) => {
-      const score = c.scores[p.id] || 0;
-      const label = Data.getScoreLabel(score);
-      const name = I18n.getCountryName(c);
+    const bars = selected.map((e, i) => {
+      const score = e.scores[p.id] || 0;
       return `<div class="compare-bar-entry">
-        <span class="compare-bar-name">${name}</span>
+        <span class="compare-bar-name">${_escHtml(e.name)}</span>
         <div class="compare-bar-track">
-          <div class="compare-bar-fill" style="width:${score}%;background:${compareColors[i]}"></div>
+          <div class="compare-bar-fill" style="width:${score}%;background:${_compareColor(i)}"></div>
         </div>
         <span class="compare-bar-value">${score}</span>
       </div>`;
@@ -1889,45 +2546,77 @@ function renderCompare() {
     </div>`;
   }).join('');
 
-  // Economic comparison table
-  const econData = selected.map(c => ({ country: c, econ: Data.getEconomics(c.id) }));
-  const hasEcon = econData.some(d => d.econ);
-
-  function fmtB(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}T` : `$${v.toFixed(0)}B`; }
-  function fmtK(v) { return v >= 1000 ? `$${(v/1000).toFixed(1)}K` : `$${v.toFixed(0)}`; }
+  // Economic comparison table (benchmarks show the mean of their members)
 
   const econMetrics = [
-    { key: 'econ.gdp', fn: e => fmtB(e.gdp) },
-    { key: 'econ.gdp_per_capita', fn: e => fmtK(e.gdp_per_capita) },
-    { key: 'econ.public_debt', fn: e => `${e.public_debt_pct}%` },
-    { key: 'econ.unemployment', fn: e => `${e.unemployment}%` },
-    { key: 'econ.inflation', fn: e => `${e.inflation}%` },
-    { key: 'econ.gni_per_capita', fn: e => fmtK(e.gni_per_capita) },
-    { key: 'trade.exports', fn: e => e.exports != null ? fmtB(e.exports) : '—' },
-    { key: 'trade.imports', fn: e => e.imports != null ? fmtB(e.imports) : '—' },
-    { key: 'trade.balance', fn: e => e.trade_balance != null ? `${e.trade_balance >= 0 ? '+' : ''}${fmtB(Math.abs(e.trade_balance))}` : '—' }
+    { key: 'econ.' + _gdpField('gdp'), unit: 'USD bn', raw: e => e[_gdpField('gdp')], fn: (e, ent) => _fmtGdp(e, 'gdp', ent.country && ent.id) },
+    { key: 'econ.' + _gdpField('gdp_per_capita'), unit: 'USD', raw: e => e[_gdpField('gdp_per_capita')], fn: (e, ent) => _fmtGdp(e, 'gdp_per_capita', ent.country && ent.id) },
+    { key: 'econ.public_debt', unit: '%', raw: e => e.public_debt_pct, fn: e => I18n.formatPercent(e.public_debt_pct) },
+    { key: 'econ.unemployment', unit: '%', raw: e => e.unemployment, fn: e => I18n.formatPercent(e.unemployment) },
+    { key: 'econ.inflation', unit: '%', raw: e => e.inflation, fn: e => I18n.formatPercent(e.inflation) },
+    { key: 'econ.gni_per_capita', unit: 'USD', raw: e => e.gni_per_capita, fn: (e, ent) => _fmtMoney(e.gni_per_capita, ent.country && ent.id) },
+    { key: 'trade.exports', unit: 'USD bn', raw: e => e.exports, fn: (e, ent) => _fmtMoneyBn(e.exports, ent.country && ent.id) },
+    { key: 'trade.imports', unit: 'USD bn', raw: e => e.imports, fn: (e, ent) => _fmtMoneyBn(e.imports, ent.country && ent.id) },
+    { key: 'trade.exports_per_capita', unit: 'USD', raw: e => e.exports_per_capita, fn: (e, ent) => _fmtMoney(e.exports_per_capita, ent.country && ent.id) },
+    { key: 'trade.imports_per_capita', unit: 'USD', raw: e => e.imports_per_capita, fn: (e, ent) => _fmtMoney(e.imports_per_capita, ent.country && ent.id) },
+    { key: 'trade.balance', unit: 'USD bn', raw: e => e.trade_balance, fn: (e, ent) => _fmtMoneyBn(e.trade_balance, ent.country && ent.id, { signDisplay: 'exceptZero' }) }
   ];
 
-  let econTableHtml = '';
-  if (hasEcon) {
-    const headerCols = selected.map(c => `<th>${I18n.getCountryName(c)}</th>`).join('');
-    const rows = econMetrics.map(m => {
-      const cells = econData.map(d => {
-        if (!d.econ) return '<td>-</td>';
-        return `<td>${m.fn(d.econ)}</td>`;
-      }).join('');
-      return `<tr><td><strong>${I18n.t(m.key)}</strong></td>${cells}</tr>`;
-    }).join('');
+  const demoMetrics = [
+    { key: 'demo.population', raw: d => d.population, fn: d => I18n.formatCompact(d.population) },
+    { key: 'demo.pop_growth', unit: '%', raw: d => d.population_growth, fn: d => I18n.formatPercent(d.population_growth, 1, { signDisplay: 'exceptZero' }) },
+    { key: 'demo.median_age', unit: I18n.t('demo.years'), raw: d => d.median_age, fn: d => `${I18n.formatNumber(d.median_age)} ${I18n.t('demo.yr_abbr')}` },
+    { key: 'demo.life_exp', unit: I18n.t('demo.years'), better: 'higher', raw: d => d.life_exp_total, fn: d => `${I18n.formatNumber(d.life_exp_total)} ${I18n.t('demo.yr_abbr')}` },
+    { key: 'compare.life_exp_male', unit: I18n.t('demo.years'), better: 'higher', raw: d => d.life_exp_male, fn: d => `${I18n.formatNumber(d.life_exp_male)} ${I18n.t('demo.yr_abbr')}` },
+    { key: 'compare.life_exp_female', unit: I18n.t('demo.years'), better: 'higher', raw: d => d.life_exp_female, fn: d => `${I18n.formatNumber(d.life_exp_female)} ${I18n.t('demo.yr_abbr')}` },
+    { key: 'demo.fertility', raw: d => d.fertility_rate, fn: d => _fmtDec(d.fertility_rate, 2) },
+    { key: 'demo.infant_mortality', better: 'lower', raw: d => d.infant_mortality, fn: d => _fmtDec(d.infant_mortality, 1) },
+    { key: 'indicator.urban_pct', unit: '%', raw: d => d.urban_pct, fn: d => I18n.formatPercent(d.urban_pct) },
+    { key: 'demo.literacy', unit: '%', better: 'higher', raw: d => d.literacy_rate, fn: d => I18n.formatPercent(d.literacy_rate) },
+    { key: 'demo.density', raw: d => d.population_density, fn: d => I18n.formatNumber(Math.round(d.population_density)) }
+  ];
 
-    econTableHtml = `
-      <div class="compare-section">
-        <h2>${I18n.t('compare.econ_title')}</h2>
-        <div class="table-wrap"><table class="compare-econ-table">
-          <thead><tr><th></th>${headerCols}</tr></thead>
-          <tbody>${rows}</tbody>
-        </table></div>
-      </div>`;
-  }
+  const regimeOrder = ['authoritarian', 'hybrid_regime', 'flawed_democracy', 'full_democracy'];
+  const conflictOrder = ['war', 'major_conflict', 'minor_conflict', 'tension', 'peace'];
+  const polMetrics = [
+    { key: 'overview.regime_type', better: 'higher', raw: p => p.regime && I18n.t('pol.regime.' + p.regime), rank: p => regimeOrder.indexOf(p.regime), fn: p => I18n.t('pol.regime.' + p.regime) },
+    { key: 'compare.system', raw: p => p.system && I18n.t('pol.system.' + p.system), fn: p => I18n.t('pol.system.' + p.system) },
+    { key: 'country.democracy', unit: '0–10', better: 'higher', raw: p => p.democracy_score, fn: p => `${I18n.formatNumber(p.democracy_score)}/10` },
+    { key: 'satisfaction.title', unit: '0–10', better: 'higher', raw: p => p.happiness_score, fn: p => `${I18n.formatNumber(p.happiness_score)}/10` },
+    { key: 'indicator.corruption_rank', better: 'lower', raw: p => p.corruption_rank, fn: p => `#${Math.round(p.corruption_rank)}` },
+    { key: 'indicator.press_freedom_rank', better: 'lower', raw: p => p.press_freedom_rank, fn: p => `#${Math.round(p.press_freedom_rank)}` },
+    { key: 'justice.title', unit: '0–1', better: 'higher', raw: p => p.rule_of_law, fn: p => _fmtDec(p.rule_of_law, 2) },
+    { key: 'indicator.conflict_status', better: 'higher', raw: p => p.conflict_status && I18n.t('peace.status.' + p.conflict_status), rank: p => conflictOrder.indexOf(p.conflict_status), fn: p => I18n.t('peace.status.' + p.conflict_status) }
+  ];
+
+  const econNote = _basisToggleHtml() + _currencyNoteHtml(selected.filter(e => e.econ).map(e => e.country ? e.id : null)) +
+    _basisNoteHtml(selected.filter(e => e.country).map(e => e.econ));
+  const econTableHtml = _compareTableHtml(selected, e => e.econ, econMetrics, 'compare.econ_title', 'compare', econNote);
+  const demoTableHtml = _compareTableHtml(selected, e => e.demo, demoMetrics, 'compare.demo_title', 'compare-demographics');
+  const polTableHtml = _compareTableHtml(selected, e => e.pol, polMetrics, 'compare.pol_title', 'compare-politics');
+
+  // Population structure: age bands as 100% stacked bars
+  const ageBands = [
+    { field: 'age_0_14', key: 'demo.age_0_14', color: '#42A5F5' },
+    { field: 'age_15_64', key: 'demo.age_15_64', color: '#1565C0' },
+    { field: 'age_65_plus', key: 'demo.age_65_plus', color: '#78909C' }
+  ];
+  const withAges = selected.filter(e => e.demo && e.demo.age_15_64 != null);
+  const ageHtml = withAges.length ? `
+    <div class="compare-section">
+      <h2>${I18n.t('compare.age_title')}</h2>
+      <div class="compare-age-legend">${ageBands.map(b =>
+        `<span class="econ-legend-item"><span class="econ-legend-dot" style="background:${b.color}"></span>${I18n.t(b.key)}</span>`).join('')}
+      </div>
+      <div class="compare-bars">${withAges.map(e => `
+        <div class="compare-bar-entry">
+          <span class="compare-bar-name">${_escHtml(e.name)}</span>
+          <div class="compare-age-track">${ageBands.map(b => `
+            <div class="compare-age-seg" style="width:${e.demo[b.field]}%;background:${b.color}" title="${I18n.t(b.key)}: ${I18n.formatPercent(e.demo[b.field])}">${e.demo[b.field] >= 8 ? I18n.formatPercent(e.demo[b.field], 0) : ''}</div>`).join('')}
+          </div>
+        </div>`).join('')}
+      </div>
+    </div>` : '';
 
   document.getElementById('compare-results').innerHTML = `
     ${radarHtml}
@@ -1935,18 +2624,30 @@ function renderCompare() {
       <h2>${I18n.t('compare.pillars_title')}</h2>
       <div class="compare-bars">${barsHtml}</div>
     </div>
-    ${econTableHtml}`;
+    ${econTableHtml}
+    ${ageHtml}
+    ${demoTableHtml}
+    ${polTableHtml}`;
+  _bindExport(document.getElementById('compare-results'));
+  _bindBasisToggle(document.getElementById('compare-results'), renderCompare);
+  if (typeof ShareCard !== 'undefined') {
+    const comparePath = 'compare.html?' + chosen.map(id => 'c=' + id).join('&');
+    const cardEntries = () => selected.map((e, i) => ({ name: e.name, scores: e.scores, color: _compareColor(i), dashed: e.isAggregate }));
+    ShareCard.bind(document.getElementById('compare-results'), () => ShareCard.compareSvg(cardEntries(), comparePath), 'compare',
+      selected.map(e => e.name).join(' vs ') + ' - World Barometer', 'https://world-bar.github.io/' + comparePath);
+  }
 
-  // Draw radar chart
+  // Draw radar chart (benchmarks dashed)
   if (typeof Chart !== 'undefined') {
     const radarCtx = document.getElementById('compare-radar');
     if (radarCtx) {
-      const datasets = selected.map((c, i) => ({
-        label: I18n.getCountryName(c),
-        data: pillars.map(p => c.scores[p.id] || 0),
-        borderColor: compareColors[i],
-        backgroundColor: compareColors[i] + '22',
-        pointBackgroundColor: compareColors[i],
+      const datasets = selected.map((e, i) => ({
+        label: e.name,
+        data: pillars.map(p => e.scores[p.id] || 0),
+        borderColor: _compareColor(i),
+        backgroundColor: _compareFill(_compareColor(i), selected.length > 4 ? 0.05 : 0.13),
+        pointBackgroundColor: _compareColor(i),
+        borderDash: e.isAggregate ? [6, 4] : [],
         borderWidth: 2
       }));
 
@@ -1975,6 +2676,460 @@ function renderCompare() {
   }
 }
 
+// ===== Correlation explorer =====
+// State lives in the URL so every view can be shared:
+// ?x=<indicator>&y=<indicator>&size=<indicator>&color=<continent|income|indicator>&logx=1&logy=1&region=<filter>
+let _exploreChart = null;
+
+const EXPLORE_DEFAULTS = { x: 'economics.gdp_per_capita', y: 'politics.happiness_score', size: 'demographics.population', color: 'continent' };
+
+function _exploreState() {
+  const params = new URLSearchParams(window.location.search);
+  const numeric = id => { const ind = Indicators.get(id); return ind && ind.scale !== 'category' ? ind : null; };
+  const pick = key => params.has(key) ? params.get(key) : EXPLORE_DEFAULTS[key];
+  const color = pick('color');
+  return {
+    x: numeric(pick('x')) || numeric(EXPLORE_DEFAULTS.x),
+    y: numeric(pick('y')) || numeric(EXPLORE_DEFAULTS.y),
+    size: numeric(pick('size')),
+    color: color === 'continent' || color === 'income' ? color : Indicators.get(color) ? color : '',
+    logx: params.get('logx') === '1',
+    logy: params.get('logy') === '1'
+  };
+}
+
+// Least-squares line, Pearson r and Spearman rho for [[x, y], ...]
+function _linearFit(points) {
+  const n = points.length;
+  if (n < 3) return null;
+  const mean = a => a.reduce((s, v) => s + v, 0) / a.length;
+  const pearson = (xs, ys) => {
+    const mx = mean(xs), my = mean(ys);
+    let sxy = 0, sxx = 0, syy = 0;
+    xs.forEach((x, i) => { sxy += (x - mx) * (ys[i] - my); sxx += (x - mx) ** 2; syy += (ys[i] - my) ** 2; });
+    return { r: sxx && syy ? sxy / Math.sqrt(sxx * syy) : null, slope: sxx ? sxy / sxx : 0, intercept: my - (sxx ? sxy / sxx : 0) * mx };
+  };
+  // Average rank for ties
+  const ranks = values => {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const result = new Array(values.length);
+    for (let i = 0; i < order.length;) {
+      let j = i;
+      while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+      for (let k = i; k <= j; k++) result[order[k]] = (i + j) / 2 + 1;
+      i = j + 1;
+    }
+    return result;
+  };
+  const xs = points.map(p => p[0]), ys = points.map(p => p[1]);
+  const fit = pearson(xs, ys);
+  if (fit.r == null) return null;
+  return { n, r: fit.r, slope: fit.slope, intercept: fit.intercept, rho: pearson(ranks(xs), ranks(ys)).r, min: Math.min(...xs), max: Math.max(...xs) };
+}
+
+function _exploreStrength(r) {
+  const a = Math.abs(r);
+  if (a < 0.1) return 'none';
+  if (a < 0.3) return 'weak';
+  if (a < 0.5) return 'moderate';
+  if (a < 0.7) return 'strong';
+  return 'very_strong';
+}
+
+// Point colours and legend for the colour picker: region groupings, category or numeric indicators
+function _exploreColors(color, ids) {
+  if (!color) return { of: () => '#009edb', legend: [] };
+  if (color === 'continent' || color === 'income') {
+    let values = Data.getRegions(color);
+    if (color === 'income') values = _incomeOrder.filter(v => values.includes(v));
+    else values.sort((a, b) => _regionName(color, a).localeCompare(_regionName(color, b), I18n.getLang()));
+    const colors = {};
+    values.forEach((v, i) => { colors[v] = _compareColor(i); });
+    return {
+      of: id => colors[(Data.getCountry(id) || {})[color]] || Indicators.NO_DATA,
+      legend: values.map(v => ({ color: colors[v], label: _regionName(color, v) }))
+    };
+  }
+  const ind = Indicators.get(color);
+  const scale = Indicators.getScale(ind, ids);
+  return { of: id => scale.color(ind.get(id)), legend: scale.legend };
+}
+
+function renderExplorePage() {
+  const container = document.getElementById('explore-content');
+  if (!container) return;
+
+  if (_exploreChart) { _exploreChart.destroy(); _exploreChart = null; }
+
+  const state = _exploreState();
+  const regionFilter = _currentRegionFilter();
+  const countries = Data.getAllCountries().filter(c => Data.matchesRegion(c.id, regionFilter));
+  document.title = `${I18n.t('explore.title')} - World Barometer`;
+
+  // Countries need both values; log axes cannot show zero or negative values
+  const withData = countries.filter(c => state.x.get(c.id) != null && state.y.get(c.id) != null);
+  const points = withData.filter(c => (!state.logx || state.x.get(c.id) > 0) && (!state.logy || state.y.get(c.id) > 0));
+  const missing = countries.length - withData.length;
+  const nonPositive = withData.length - points.length;
+
+  const tx = v => state.logx ? Math.log10(v) : v;
+  const ty = v => state.logy ? Math.log10(v) : v;
+  const fit = _linearFit(points.map(c => [tx(state.x.get(c.id)), ty(state.y.get(c.id))]));
+
+  const colors = _exploreColors(state.color, points.map(c => c.id));
+  const sizes = state.size ? points.map(c => state.size.get(c.id)).filter(v => v != null) : [];
+  const sizeMin = sizes.length ? Math.min(...sizes) : 0;
+  const sizeMax = sizes.length ? Math.max(...sizes) : 0;
+  const radius = id => {
+    const v = state.size ? state.size.get(id) : null;
+    if (v == null) return state.size ? 3 : 5;
+    return 3 + 15 * Math.sqrt(sizeMax > sizeMin ? (v - sizeMin) / (sizeMax - sizeMin) : 0.5);
+  };
+
+  const options = (selected, withNone) => (withNone ? `<option value=""${selected ? '' : ' selected'}>${I18n.t('explore.none')}</option>` : '') +
+    Indicators.getGroups().map(group => {
+      const items = group.items.filter(ind => ind.scale !== 'category');
+      return items.length ? `
+      <optgroup label="${I18n.t(group.label)}">
+        ${items.map(ind => `<option value="${ind.id}"${selected && ind.id === selected.id ? ' selected' : ''}>${Indicators.label(ind)}</option>`).join('')}
+      </optgroup>` : '';
+    }).join('');
+
+  const colorOptions = `
+    <option value=""${state.color ? '' : ' selected'}>${I18n.t('explore.none')}</option>
+    <optgroup label="${I18n.t('explore.grouping')}">
+      <option value="continent"${state.color === 'continent' ? ' selected' : ''}>${I18n.t('geo.continents')}</option>
+      <option value="income"${state.color === 'income' ? ' selected' : ''}>${I18n.t('geo.income_groups')}</option>
+    </optgroup>
+    ${Indicators.getGroups().map(group => `
+      <optgroup label="${I18n.t(group.label)}">
+        ${group.items.map(ind => `<option value="${ind.id}"${ind.id === state.color ? ' selected' : ''}>${Indicators.label(ind)}</option>`).join('')}
+      </optgroup>`).join('')}`;
+
+  const logBox = (key, checked) => `
+    <label class="explore-log"><input type="checkbox" data-param="${key}"${checked ? ' checked' : ''}> ${I18n.t('explore.log')}</label>`;
+
+  let statsHtml = `<p class="explore-stats">${I18n.t('explore.too_few')}</p>`;
+  if (fit) {
+    const dec = (v, d) => I18n.formatNumber(v, { minimumFractionDigits: d, maximumFractionDigits: d, signDisplay: 'exceptZero' });
+    statsHtml = `
+      <p class="explore-stats">
+        <strong>${I18n.t('explore.strength.' + _exploreStrength(fit.r))}</strong>
+        ${I18n.tf('explore.stats', dec(fit.r, 2), I18n.formatNumber(fit.r * fit.r, { maximumFractionDigits: 2 }), dec(fit.rho, 2), fit.n)}
+      </p>`;
+  }
+
+  const notes = [
+    missing ? I18n.tf('explore.missing', missing) : '',
+    nonPositive ? I18n.tf('explore.non_positive', nonPositive) : ''
+  ].filter(Boolean).join(' ');
+
+  const legendHtml = colors.legend.length ? `
+    <div class="explore-legend">${colors.legend.map(item =>
+      `<span class="econ-legend-item"><span class="econ-legend-dot" style="background:${item.color}"></span>${item.label}</span>`).join('')}
+    </div>` : '';
+
+  container.innerHTML = `
+    <a href="index.html" class="back-link">&larr; ${I18n.t('country.back')}</a>
+    <h1 class="page-title">${I18n.t('explore.title')}</h1>
+    <p class="page-intro">${I18n.t('explore.intro')}</p>
+    ${_regionFilterHtml()}
+    <div class="explore-controls">
+      <div class="explore-control">
+        <label for="explore-x">${I18n.t('explore.x')}</label>
+        <select id="explore-x" data-param="x">${options(state.x, false)}</select>
+        ${logBox('logx', state.logx)}
+      </div>
+      <div class="explore-control">
+        <label for="explore-y">${I18n.t('explore.y')}</label>
+        <select id="explore-y" data-param="y">${options(state.y, false)}</select>
+        ${logBox('logy', state.logy)}
+      </div>
+      <button type="button" class="explore-swap" title="${I18n.t('explore.swap')}" aria-label="${I18n.t('explore.swap')}">&#8646;</button>
+      <div class="explore-control">
+        <label for="explore-size">${I18n.t('explore.size')}</label>
+        <select id="explore-size" data-param="size">${options(state.size, true)}</select>
+      </div>
+      <div class="explore-control">
+        <label for="explore-color">${I18n.t('explore.color')}</label>
+        <select id="explore-color" data-param="color">${colorOptions}</select>
+      </div>
+    </div>
+    ${statsHtml}
+    <div class="explore-chart-wrap"><canvas id="explore-chart"></canvas></div>
+    ${legendHtml}
+    ${notes ? `<p class="currency-note">${notes}</p>` : ''}
+    ${[state.x, state.y, state.size].some(ind => ind && ind.group === 'economics') ? _currencyNoteHtml([null]) : ''}
+    <p class="currency-note">${I18n.t('explore.hint')}</p>
+    <div id="explore-share"></div>`;
+
+  // Every control writes its value to the URL and redraws
+  const setParam = (key, value) => {
+    const params = new URLSearchParams(window.location.search);
+    params.set(key, value);
+    if (/^log/.test(key) && value === '0') params.delete(key);
+    history.replaceState(null, '', window.location.pathname + '?' + params.toString());
+    renderExplorePage();
+  };
+  container.querySelectorAll('.explore-controls select').forEach(sel => {
+    sel.addEventListener('change', () => setParam(sel.dataset.param, sel.value));
+  });
+  container.querySelectorAll('.explore-log input').forEach(box => {
+    box.addEventListener('change', () => setParam(box.dataset.param, box.checked ? '1' : '0'));
+  });
+  container.querySelector('.explore-swap').addEventListener('click', () => {
+    const params = new URLSearchParams(window.location.search);
+    params.set('x', state.y.id);
+    params.set('y', state.x.id);
+    ['logx', 'logy'].forEach(k => params.delete(k));
+    if (state.logy) params.set('logx', '1');
+    if (state.logx) params.set('logy', '1');
+    history.replaceState(null, '', window.location.pathname + '?' + params.toString());
+    renderExplorePage();
+  });
+  _bindRegionFilter(renderExplorePage);
+
+  const shareEl = document.getElementById('explore-share');
+  shareEl.innerHTML = _shareBarHtml();
+  _bindShareButtons(shareEl, `${Indicators.label(state.x)} × ${Indicators.label(state.y)} - World Barometer`, window.location.href);
+
+  if (typeof Chart === 'undefined') return;
+  const ctx = document.getElementById('explore-chart');
+  const datasets = [{
+    type: 'bubble',
+    data: points.map(c => ({ x: state.x.get(c.id), y: state.y.get(c.id), r: radius(c.id), id: c.id, name: I18n.getCountryName(c) })),
+    backgroundColor: points.map(c => _compareFill(colors.of(c.id), 0.7)),
+    borderColor: points.map(c => colors.of(c.id)),
+    borderWidth: 1,
+    hoverBorderWidth: 2
+  }];
+  if (fit) {
+    const back = (v, log) => log ? Math.pow(10, v) : v;
+    datasets.push({
+      type: 'line',
+      label: I18n.t('explore.trend'),
+      data: [fit.min, fit.max].map(x => ({ x: back(x, state.logx), y: back(fit.intercept + fit.slope * x, state.logy) })),
+      borderColor: '#37474f',
+      borderDash: [6, 4],
+      borderWidth: 1.5,
+      pointRadius: 0,
+      fill: false
+    });
+  }
+
+  const axis = (ind, log) => ({
+    type: log ? 'logarithmic' : 'linear',
+    title: { display: true, text: Indicators.label(ind) + (log ? ` (${I18n.t('explore.log')})` : '') },
+    ticks: { callback: v => ind.format(v), maxTicksLimit: 8 }
+  });
+
+  _exploreChart = new Chart(ctx, {
+    type: 'bubble',
+    data: { datasets },
+    options: {
+      responsive: true,
+      aspectRatio: 1.6,
+      scales: { x: axis(state.x, state.logx), y: axis(state.y, state.logy) },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          filter: item => item.datasetIndex === 0,
+          callbacks: {
+            title: items => items.length ? items[0].raw.name : '',
+            label: item => {
+              const id = item.raw.id;
+              const line = ind => `${Indicators.label(ind)}: ${ind.get(id) != null ? ind.format(ind.get(id)) : I18n.t('indicator.no_data')}`;
+              const lines = [line(state.x), line(state.y)];
+              if (state.size) lines.push(line(state.size));
+              const colorInd = Indicators.get(state.color);
+              if (colorInd && colorInd !== state.x && colorInd !== state.y && colorInd !== state.size) lines.push(line(colorInd));
+              else if (state.color === 'continent' || state.color === 'income') lines.push(_regionName(state.color, Data.getCountry(id)[state.color]));
+              return lines;
+            }
+          }
+        }
+      },
+      onClick: (evt, elements) => {
+        const el = elements.find(e => e.datasetIndex === 0);
+        if (el) window.location.href = 'country.html?id=' + datasets[0].data[el.index].id;
+      },
+      onHover: (evt, elements) => {
+        evt.native.target.style.cursor = elements.some(e => e.datasetIndex === 0) ? 'pointer' : 'default';
+      }
+    }
+  });
+}
+
+// ===== Embed builder (widgets.html) =====
+// Options for each widget of embed.html (and the map), a live preview and the
+// snippet to paste. The preview uses the same resize messages as partner sites.
+const WIDGET_FIELDS = {
+  country: ['flag', 'overall', 'rank', 'label', 'pillars', 'region'],
+  ranking: ['flag', 'score', 'bar']
+};
+const WIDGET_WIDTHS = { s: 320, m: 400, l: 560 };
+const WIDGET_MAP_HEIGHTS = { s: 360, m: 480, l: 600 };
+
+let _widgetState = null;
+
+function _widgetUrl(s) {
+  const params = new URLSearchParams();
+  const base = s.widget === 'map' ? 'map.html' : 'embed.html';
+  if (s.widget === 'map') {
+    if (s.layer !== 'overall') params.set('layer', s.layer);
+  } else {
+    params.set('widget', s.widget);
+    if (s.widget === 'country') params.set('id', s.country);
+    if (s.widget === 'ranking') {
+      params.set('pillar', s.pillar);
+      params.set('n', s.n);
+      if (s.region) params.set('region', s.region);
+    }
+    if (s.widget === 'compare') s.compare.filter(Boolean).forEach(id => params.append('c', id));
+    if (WIDGET_FIELDS[s.widget]) params.set('fields', s.fields[s.widget].join(','));
+    if (s.theme !== 'light') params.set('theme', s.theme);
+    if (s.size !== 'm') params.set('size', s.size);
+    params.set('frame', _widgetFrameId(s));
+  }
+  params.set('lang', s.lang);
+  return new URL(base + '?' + params.toString().replace(/%3A/g, ':').replace(/%2C/g, ','), window.location.href).href;
+}
+
+function _widgetFrameId(s) {
+  const subject = s.widget === 'country' ? s.country : s.widget === 'ranking' ? s.pillar : '';
+  return 'gpb-' + s.widget + (subject ? '-' + subject : '');
+}
+
+function _widgetSnippet(s) {
+  const url = _widgetUrl(s).replace(/&/g, '&amp;');
+  const esc = str => str.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  if (s.widget === 'map') {
+    return `<iframe src="${url}" width="100%" height="${WIDGET_MAP_HEIGHTS[s.size]}" style="border:0" loading="lazy" title="${esc(I18n.t('map.title'))} - World Barometer"></iframe>`;
+  }
+  const id = _widgetFrameId(s);
+  return `<iframe id="${id}" src="${url}" width="${WIDGET_WIDTHS[s.size]}" height="400" style="border:0;max-width:100%" loading="lazy" title="World Barometer"></iframe>
+<script>
+window.addEventListener('message', function (e) {
+  var d = e.data;
+  if (e.origin !== '${window.location.origin}' || !d || d.type !== 'gpb-embed-resize') return;
+  var frame = document.getElementById(d.frame);
+  if (frame) frame.style.height = d.height + 'px';
+});
+</script>`;
+}
+
+function renderWidgetsPage() {
+  const container = document.getElementById('widgets-content');
+  if (!container) return;
+  document.title = `${I18n.t('widgets.title')} - World Barometer`;
+
+  const lang = I18n.getLang();
+  const countries = Data.getAllCountries().slice().sort((a, b) => I18n.getCountryName(a).localeCompare(I18n.getCountryName(b), lang));
+  if (!_widgetState) {
+    // The preview frame reports its height like on a partner site
+    window.addEventListener('message', e => {
+      const d = e.data;
+      if (e.origin !== window.location.origin || !d || d.type !== 'gpb-embed-resize') return;
+      const frame = document.getElementById(d.frame);
+      if (frame) frame.style.height = d.height + 'px';
+    });
+    _widgetState = {
+      widget: 'country', country: 'norway', pillar: 'overall', n: 10, region: '', compare: ['norway', 'japan', '', ''],
+      layer: 'overall', lang, theme: 'light', size: 'm',
+      fields: { country: ['flag', 'overall', 'rank', 'pillars'], ranking: ['flag', 'score', 'bar'] }
+    };
+  }
+  const s = _widgetState;
+
+  const option = (value, label, selected) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`;
+  const countryOptions = (selected, withNone) => (withNone ? option('', '—', selected) : '') +
+    countries.map(c => option(c.id, I18n.getCountryName(c), selected)).join('');
+  const field = (labelKey, control, widget) => `
+    <label class="widget-field"${widget ? ` data-widget="${widget}"` : ''}>
+      <span>${I18n.t(labelKey)}</span>
+      ${control}
+    </label>`;
+  const checks = widget => `
+    <fieldset class="widget-field widget-checks" data-widget="${widget}">
+      <legend>${I18n.t('widgets.fields')}</legend>
+      ${WIDGET_FIELDS[widget].map(f => `
+        <label><input type="checkbox" data-field="${widget}" value="${f}"${s.fields[widget].includes(f) ? ' checked' : ''}> ${I18n.t('widgets.field.' + f)}</label>`).join('')}
+    </fieldset>`;
+
+  const pillarOptions = option('overall', I18n.t('ranking.all_pillars'), s.pillar) +
+    Data.getPillars().map(p => option(p.id, `${p.icon} ${I18n.t(p.name_key)}`, s.pillar)).join('');
+  const layerOptions = typeof Indicators === 'undefined' ? option('overall', I18n.t('country.overall'), s.layer)
+    : Indicators.getGroups().map(group => `
+      <optgroup label="${I18n.t(group.label)}">${group.items.map(ind => option(ind.id, Indicators.label(ind), s.layer)).join('')}</optgroup>`).join('');
+
+  container.innerHTML = `
+    <a href="index.html" class="back-link">&larr; ${I18n.t('country.back')}</a>
+    <h1 class="page-title">${I18n.t('widgets.title')}</h1>
+    <p class="page-intro">${I18n.t('widgets.intro')}</p>
+    <div class="widget-builder">
+      <form class="widget-form" onsubmit="return false">
+        ${field('widgets.type', `<select data-key="widget">${['country', 'ranking', 'compare', 'map'].map(w => option(w, I18n.t('widgets.type.' + w), s.widget)).join('')}</select>`)}
+        ${field('compare.add_country', `<select data-key="country">${countryOptions(s.country)}</select>`, 'country')}
+        ${checks('country')}
+        ${field('widgets.pillar', `<select data-key="pillar">${pillarOptions}</select>`, 'ranking')}
+        ${field('widgets.count', `<input type="number" min="1" max="50" data-key="n" value="${s.n}">`, 'ranking')}
+        ${field('geo.filter', `<select data-key="region">${option('', I18n.t('geo.all'), s.region)}${_regionOptgroups(s.region)}</select>`, 'ranking')}
+        ${checks('ranking')}
+        ${s.compare.map((id, i) => field('compare.add_country', `<select data-key="compare" data-index="${i}">${countryOptions(id, i > 0)}</select>`, 'compare')).join('')}
+        ${field('indicator.title', `<select data-key="layer">${layerOptions}</select>`, 'map')}
+        ${field('widgets.lang', `<select data-key="lang">${I18n.getManifest().map(code => option(code, I18n.t('lang.' + code), s.lang)).join('')}</select>`)}
+        ${field('widgets.theme', `<select data-key="theme">${option('light', I18n.t('widgets.theme.light'), s.theme)}${option('dark', I18n.t('widgets.theme.dark'), s.theme)}</select>`)}
+        ${field('widgets.size', `<select data-key="size">${['s', 'm', 'l'].map(v => option(v, I18n.t('widgets.size.' + v), s.size)).join('')}</select>`)}
+      </form>
+      <div class="widget-output">
+        <h2>${I18n.t('widgets.preview')}</h2>
+        <div class="widget-preview"></div>
+        <h2>${I18n.t('widgets.snippet')}</h2>
+        <textarea class="widget-snippet" readonly rows="10" spellcheck="false"></textarea>
+        <button type="button" class="widget-copy">${I18n.t('widgets.copy')}</button>
+        <p class="currency-note">${I18n.t('widgets.docs')}</p>
+      </div>
+    </div>`;
+
+  const form = container.querySelector('.widget-form');
+  const preview = container.querySelector('.widget-preview');
+  const snippet = container.querySelector('.widget-snippet');
+
+  function update() {
+    form.querySelectorAll('[data-widget]').forEach(el => { el.hidden = el.dataset.widget !== s.widget; });
+    const width = s.widget === 'map' ? '100%' : WIDGET_WIDTHS[s.size];
+    const height = s.widget === 'map' ? WIDGET_MAP_HEIGHTS[s.size] : 400;
+    preview.innerHTML = `<iframe id="${_widgetFrameId(s)}" src="${_widgetUrl(s)}" width="${width}" height="${height}" style="border:0;max-width:100%" title="${I18n.t('widgets.preview')}"></iframe>`;
+    snippet.value = _widgetSnippet(s);
+  }
+
+  form.addEventListener('change', e => {
+    const el = e.target;
+    if (el.dataset.field) {
+      s.fields[el.dataset.field] = Array.from(form.querySelectorAll(`input[data-field="${el.dataset.field}"]:checked`)).map(box => box.value);
+    } else if (el.dataset.key === 'compare') {
+      s.compare[+el.dataset.index] = el.value;
+    } else if (el.dataset.key === 'n') {
+      s.n = Math.min(Math.max(parseInt(el.value, 10) || 10, 1), 50);
+    } else if (el.dataset.key) {
+      s[el.dataset.key] = el.value;
+    }
+    update();
+  });
+
+  container.querySelector('.widget-copy').addEventListener('click', e => {
+    snippet.select();
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(snippet.value).then(() => {
+        e.target.classList.add('copied');
+        setTimeout(() => e.target.classList.remove('copied'), 2000);
+      });
+    }
+  });
+
+  update();
+}
+
 // ===== Quiz =====
 let _quizState = null;
 let _quizDifficulty = 'medium';
@@ -2036,7 +3191,41 @@ function renderQuiz() {
 }
 
 function _tpl(str, ...args) {
-  return args.reduce((s, v, i) => s.replace(`{${i}}`, v), str);
+  return I18n.format(str, ...args);
+}
+
+// Money in economics.json is USD; gdp, exports, imports and trade_balance are billions.
+// Shown in the currency picked in the nav (Currency); countryId picks the rate
+// for "local currency", totals pass null.
+function _fmtMoney(v, countryId, options) {
+  options = Object.assign({ notation: 'compact' }, options);
+  if (typeof Currency === 'undefined') return I18n.formatCurrency(v, 'USD', options);
+  return Currency.format(v, countryId, options);
+}
+
+function _fmtMoneyBn(v, countryId, options) {
+  return _fmtMoney(v * 1e9, countryId, options);
+}
+
+// Money columns of DataTables: sorted, filtered and exported in the currency
+// the cells show; under "local" each row has its own, so they stay in USD.
+// PPP figures are international dollars and are never converted.
+function _tableMoney(ppp) {
+  const t = !ppp && typeof Currency !== 'undefined' && Currency.getChoice() !== 'local' ? Currency.target(null) : { code: 'USD', rate: 1 };
+  return {
+    unit: bn => t.code + (bn ? ' bn' : ''),
+    value: (v, bn) => v == null ? null : bn ? Math.round(v * t.rate * 10) / 10 : Math.round(v * t.rate)
+  };
+}
+
+function _currencyNoteHtml(countryIds) {
+  const text = typeof Currency !== 'undefined' ? Currency.note(countryIds) : '';
+  return text ? `<p class="currency-note">${text}</p>` : '';
+}
+
+// Fixed number of decimals, in the page language
+function _fmtDec(v, digits) {
+  return I18n.formatNumber(v, { minimumFractionDigits: digits, maximumFractionDigits: digits });
 }
 
 function _shuffle(arr) {
@@ -2130,7 +3319,7 @@ function _genHighestDemocracy(countries, politics, ids) {
       text: I18n.getCountryName(Data.getCountry(s.id)),
       correct: s.id === correct.id
     }))),
-    fact: `${I18n.getCountryName(country)}: ${correct.score}/10`
+    fact: `${I18n.getCountryName(country)}: ${I18n.formatNumber(correct.score)}/10`
   };
 }
 
@@ -2146,7 +3335,7 @@ function _genLowestDemocracy(countries, politics, ids) {
       text: I18n.getCountryName(Data.getCountry(s.id)),
       correct: s.id === correct.id
     }))),
-    fact: `${I18n.getCountryName(country)}: ${correct.score}/10`
+    fact: `${I18n.getCountryName(country)}: ${I18n.formatNumber(correct.score)}/10`
   };
 }
 
@@ -2195,14 +3384,13 @@ function _genHigherGdp(countries, politics, ids) {
   scored.sort((a, b) => b.gdp - a.gdp);
   const correct = scored[0];
   const country = Data.getCountry(correct.id);
-  const fmtK = v => v >= 1000 ? `$${(v/1000).toFixed(1)}K` : `$${v}`;
   return {
     question: I18n.t('quiz.q.higher_gdp'),
     options: _shuffle(scored.map(s => ({
       text: I18n.getCountryName(Data.getCountry(s.id)),
       correct: s.id === correct.id
     }))),
-    fact: `${I18n.getCountryName(country)}: ${fmtK(correct.gdp)}`
+    fact: `${I18n.getCountryName(country)}: ${_fmtMoney(correct.gdp, correct.id)}`
   };
 }
 
@@ -2220,7 +3408,7 @@ function _genHappierCountry(countries, politics, ids) {
       text: I18n.getCountryName(Data.getCountry(s.id)),
       correct: s.id === correct.id
     }))),
-    fact: `${I18n.getCountryName(country)}: ${correct.score}/10`
+    fact: `${I18n.getCountryName(country)}: ${I18n.formatNumber(correct.score)}/10`
   };
 }
 
@@ -2384,6 +3572,7 @@ function _renderQuizResults(container) {
               <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/></svg>
             </button>
           </div>
+          ${typeof ShareCard !== 'undefined' ? ShareCard.toolbarHtml() : ''}
         </div>
       </div>
     </div>`;
@@ -2421,4 +3610,8 @@ function _renderQuizResults(container) {
       }
     });
   });
+
+  if (typeof ShareCard !== 'undefined') {
+    ShareCard.bind(container, () => ShareCard.quizSvg(score, total, emoji, I18n.t(ratingKey)), 'quiz', shareText, shareUrl);
+  }
 }
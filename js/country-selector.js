@@ -43,6 +43,7 @@ const CountrySelector = (() => {
     document.addEventListener('click', _outsideClick);
     document.addEventListener('keydown', _onKey);
     document.addEventListener('gpb-lang-change', _rebuild);
+    document.addEventListener('gpb-weights-change', _renderList);
 
     _renderList();
   }
@@ -105,7 +106,7 @@ const CountrySelector = (() => {
     })).sort((a, b) => a.name.localeCompare(b.name, lang));
 
     _list.innerHTML = sorted.map(c =>
-      `<a href="country.html?id=${c.id}" data-name="${c.name}">
+      `<a href="${typeof Weights !== 'undefined' ? Weights.link('country.html?id=' + c.id) : 'country.html?id=' + c.id}" data-name="${c.name}">
         <span>${c.name}</span>
         <span class="country-score-badge">${c.score}</span>
       </a>`
@@ -0,0 +1,99 @@
+/**
+ * currency.js - Display currency for money figures (GDP, GNI, trade)
+ * economics.json stores USD; figures are converted with each country's
+ * usd_exchange (units per USD, year in usd_exchange_year). The choice is
+ * kept in localStorage and applies to every page:
+ *   'USD' | 'EUR' | 'local' (each country in its own currency) | a country id
+ */
+const Currency = (() => {
+  const STORAGE_KEY = 'gpb-currency';
+  const USD = { code: 'USD', rate: 1, year: null };
+  let _choice = 'USD';
+
+  function init() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved && _isValid(saved)) _choice = saved;
+    _buildSwitcher();
+    document.addEventListener('gpb-lang-change', _buildSwitcher);
+  }
+
+  function _isValid(choice) {
+    return choice === 'USD' || choice === 'EUR' || choice === 'local' || !!_rate(Data.getEconomics(choice));
+  }
+
+  function _rate(econ) {
+    if (!econ || !econ.currency_code || !(econ.usd_exchange > 0)) return null;
+    return { code: econ.currency_code, rate: econ.usd_exchange, year: econ.usd_exchange_year || null };
+  }
+
+  function getChoice() {
+    return _choice;
+  }
+
+  function setChoice(choice) {
+    if (!_isValid(choice) || choice === _choice) return;
+    _choice = choice;
+    localStorage.setItem(STORAGE_KEY, choice);
+    const select = document.getElementById('currency-select');
+    if (select) select.value = choice;
+
+    // Notify map iframe
+    const iframe = document.querySelector('iframe[src*="map"]');
+    if (iframe && iframe.contentWindow) {
+      iframe.contentWindow.postMessage({ type: 'gpb-currency', currency: choice }, '*');
+    }
+    document.dispatchEvent(new CustomEvent('gpb-currency-change', { detail: { currency: choice } }));
+  }
+
+  /**
+   * Currency and rate for a country's figures. Without a country (totals,
+   * averages, map legends) 'local' falls back to USD.
+   */
+  function target(countryId) {
+    if (_choice === 'USD') return USD;
+    if (_choice === 'EUR') {
+      const euro = Data.getAllCountries().map(c => Data.getEconomics(c.id)).find(e => e && e.currency_code === 'EUR');
+      return _rate(euro) || USD;
+    }
+    const id = _choice === 'local' ? countryId : _choice;
+    return (id && _rate(Data.getEconomics(id))) || USD;
+  }
+
+  // usd: amount in US dollars (not billions)
+  function format(usd, countryId, options) {
+    const t = target(countryId);
+    return I18n.formatCurrency(usd * t.rate, t.code, options);
+  }
+
+  // "Converted from US dollars at 2024 exchange rates." or '' when showing USD
+  function note(countryIds) {
+    const ids = countryIds && countryIds.length ? countryIds : [null];
+    const years = Array.from(new Set(ids.map(id => target(id)).filter(t => t.code !== 'USD').map(t => t.year || '?'))).sort();
+    if (!years.length) return '';
+    return I18n.tf('currency.note', years.join(', '));
+  }
+
+  function _buildSwitcher() {
+    const container = document.getElementById('currency-switcher');
+    if (!container) return;
+
+    const option = (value, label) => `<option value="${value}"${value === _choice ? ' selected' : ''}>${label}</option>`;
+    const countries = Data.getAllCountries()
+      .map(c => ({ id: c.id, name: I18n.getCountryName(c), rate: _rate(Data.getEconomics(c.id)) }))
+      .filter(c => c.rate)
+      .sort((a, b) => a.name.localeCompare(b.name, I18n.getLang()));
+
+    container.innerHTML = `
+      <select id="currency-select" class="lang-select currency-select" aria-label="${I18n.t('currency.label')}" title="${I18n.t('currency.label')}">
+        ${option('USD', I18n.t('currency.usd'))}
+        ${option('EUR', I18n.t('currency.eur'))}
+        ${option('local', I18n.t('currency.local'))}
+        <optgroup label="${I18n.t('currency.of_country')}">
+          ${countries.map(c => option(c.id, `${c.name} (${c.rate.code})`)).join('')}
+        </optgroup>
+      </select>`;
+    container.querySelector('select').addEventListener('change', e => setChoice(e.target.value));
+  }
+
+  return { init, getChoice, setChoice, target, format, note };
+})();
@@ -8,6 +8,7 @@ const Data = (() => {
   let _economics = null;
   let _politics = null;
   let _demographics = null;
+  let _history = null;
 
   async function _load(url) {
     const resp = await fetch(url);
@@ -21,21 +22,38 @@ const Data = (() => {
 
   async function init() {
     if (!_countries || !_pillars) {
-      const [countries, pillars, economics, politics, demographics] = await Promise.all([
+      const [countries, pillars, economics, politics, demographics, history] = await Promise.all([
         _load('data/countries.json'),
         _load('data/pillars.json'),
         _loadSafe('data/economics.json'),
         _loadSafe('data/politics.json'),
-        _loadSafe('data/demographics.json')
+        _loadSafe('data/demographics.json'),
+        _loadSafe('data/history.json')
       ]);
       _countries = countries;
       _pillars = pillars;
       _economics = economics;
       _politics = politics;
       _demographics = demographics;
+      _history = history;
+      _derivePerCapita();
     }
   }
 
+  // exports_per_capita / imports_per_capita (USD per person) from billions and
+  // the population head count, so every view and benchmark can use them
+  function _derivePerCapita() {
+    if (!_economics || !_demographics) return;
+    Object.keys(_economics).forEach(id => {
+      const econ = _economics[id];
+      const pop = _demographics[id] && _demographics[id].population;
+      if (!pop) return;
+      ['exports', 'imports'].forEach(k => {
+        if (typeof econ[k] === 'number') econ[k + '_per_capita'] = Math.round(econ[k] * 1e9 / pop);
+      });
+    });
+  }
+
   function getAllCountries() {
     return _countries || [];
   }
@@ -52,8 +70,7 @@ const Data = (() => {
     return (_pillars || []).find(p => p.id === id) || null;
   }
 
-  function getGlobalAverages() {
-    const countries = getAllCountries();
+  function _averages(countries) {
     if (!countries.length) return {};
     const pillarIds = Object.keys(countries[0].scores);
     const avgs = {};
@@ -64,9 +81,104 @@ const Data = (() => {
     return avgs;
   }
 
+  function getGlobalAverages() {
+    return _averages(getAllCountries());
+  }
+
+  // Classifications: continent, UN M49 sub-region and World Bank income group
+  const REGION_TYPES = ['continent', 'region', 'income'];
+
+  function getRegion(countryId) {
+    const c = getCountry(countryId);
+    if (!c) return null;
+    return { continent: c.continent || null, region: c.region || null, income: c.income || null };
+  }
+
+  // Distinct values of one classification, e.g. getRegions('continent') -> ['africa', ...]
+  function getRegions(type) {
+    const seen = new Set();
+    getAllCountries().forEach(c => { if (c[type]) seen.add(c[type]); });
+    return Array.from(seen);
+  }
+
+  // Filters are written "type:value", e.g. "region:western_europe" or "income:high"
+  function isRegion(filter) {
+    const parts = String(filter || '').split(':');
+    return parts.length === 2 && REGION_TYPES.includes(parts[0]) && getRegions(parts[0]).includes(parts[1]);
+  }
+
+  function matchesRegion(countryId, filter) {
+    if (!filter) return true;
+    const [type, value] = filter.split(':');
+    const c = getCountry(countryId);
+    return !!c && REGION_TYPES.includes(type) && c[type] === value;
+  }
+
+  function getRegionalAverages(filter) {
+    return _averages(getAllCountries().filter(c => matchesRegion(c.id, filter)));
+  }
+
+  // Mean of every numeric top-level field, e.g. economics records
+  function _averageFields(records) {
+    const sums = {}, counts = {};
+    records.forEach(r => {
+      Object.keys(r).forEach(k => {
+        if (typeof r[k] !== 'number') return;
+        sums[k] = (sums[k] || 0) + r[k];
+        counts[k] = (counts[k] || 0) + 1;
+      });
+    });
+    const avgs = {};
+    Object.keys(sums).forEach(k => { avgs[k] = Math.round(sums[k] / counts[k] * 10) / 10; });
+    return avgs;
+  }
+
+  // Benchmarks for comparisons: "avg:global", "avg:top10" (by overall score)
+  // or "avg:<type>:<value>" for a region filter, e.g. "avg:region:western_europe".
+  // Ids come from shared links: anything else is not a benchmark
+  function _aggregateMembers(aggId) {
+    const parts = aggId.split(':');
+    if (parts[0] !== 'avg') return null;
+    if (aggId === 'avg:global') return getAllCountries();
+    const top = parts.length === 2 && /^top([1-9]\d{0,2})$/.exec(parts[1]);
+    if (top && +top[1] <= getAllCountries().length) return getRanking('overall').slice(0, +top[1]).map(r => getCountry(r.id));
+    const filter = parts.slice(1).join(':');
+    if (isRegion(filter)) return getAllCountries().filter(c => matchesRegion(c.id, filter));
+    return null;
+  }
+
+  function getAggregate(aggId) {
+    const members = _aggregateMembers(aggId || '');
+    if (!members || !members.length) return null;
+    return {
+      id: aggId,
+      members: members.map(c => c.id),
+      scores: _averages(members),
+      economics: _averageFields(members.map(c => getEconomics(c.id)).filter(Boolean)),
+      demographics: _averageFields(members.map(c => getDemographics(c.id)).filter(Boolean)),
+      politics: _averageFields(members.map(c => getPolitics(c.id)).filter(Boolean))
+    };
+  }
+
+  // Pillar weights for the overall score (null = equal weighting)
+  let _weights = null;
+
+  function setWeights(weights) {
+    _weights = weights && Object.keys(weights).length ? Object.assign({}, weights) : null;
+  }
+
+  function getWeights() {
+    return Object.assign({}, _weights || {});
+  }
+
   function getOverallScore(country) {
-    const scores = Object.values(country.scores);
-    return Math.round(scores.reduce((s, v) => s + v, 0) / scores.length);
+    let sum = 0, total = 0;
+    Object.entries(country.scores).forEach(([pid, v]) => {
+      const w = _weights && _weights[pid] != null ? _weights[pid] : 1;
+      sum += v * w;
+      total += w;
+    });
+    return total ? Math.round(sum / total) : 0;
   }
 
   function getRanking(pillarId) {
@@ -80,6 +192,20 @@ const Data = (() => {
     return ranked;
   }
 
+  // Rank countryId would have with these pillar scores, every other country
+  // unchanged. Same order as getRanking: ties keep countries.json order.
+  function getRankWith(countryId, scores, pillarId) {
+    const countries = getAllCountries();
+    const own = countries.findIndex(c => c.id === countryId);
+    const value = c => pillarId === 'overall' ? getOverallScore(c) : (c.scores[pillarId] || 0);
+    const mine = value({ scores });
+    return 1 + countries.filter((c, i) => {
+      if (i === own) return false;
+      const v = value(c);
+      return v > mine || (v === mine && i < own);
+    }).length;
+  }
+
   function getScoreLabel(score) {
     if (score >= 80) return 'high';
     if (score >= 60) return 'above_avg';
@@ -104,6 +230,98 @@ const Data = (() => {
     return (_demographics && _demographics[countryId]) || null;
   }
 
+  // Score history: one full score set per data release, oldest first.
+  // Sorted on a copy: the cached history stays in file order
+  function _releasesByDate() {
+    if (!_history || !_history.releases) return [];
+    return _history.releases.slice().sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  function getReleases() {
+    return _releasesByDate().map(r => ({ id: r.id, date: r.date }));
+  }
+
+  function getScoreHistory(countryId, pillarId) {
+    return _releasesByDate()
+      .filter(r => r.scores && r.scores[countryId])
+      .map(r => {
+        const scores = r.scores[countryId];
+        const score = pillarId === 'overall'
+          ? getOverallScore({ scores })
+          : (scores[pillarId] != null ? scores[pillarId] : null);
+        return { release: r.id, date: r.date, score };
+      })
+      .filter(h => h.score != null);
+  }
+
+  // Peer groups: countries nearest to a given one. Pillar scores are used as
+  // they are (0-100); economic and demographic features are optional and
+  // normalised to percentile ranks (0-100) so skewed figures such as GDP or
+  // inflation do not dominate. Each feature group counts equally.
+  const PEER_FEATURES = {
+    economics: ['gdp_per_capita', 'public_debt_pct', 'unemployment', 'inflation', 'exports_pct_gdp'],
+    demographics: ['population', 'median_age', 'urban_pct', 'life_exp_total', 'fertility_rate']
+  };
+
+  function _percentiles(source, field) {
+    const values = getAllCountries().map(c => source(c.id)).map(r => r && typeof r[field] === 'number' ? r[field] : null);
+    const sorted = values.filter(v => v != null).sort((a, b) => a - b);
+    const result = {};
+    getAllCountries().forEach((c, i) => {
+      const v = values[i];
+      if (v == null || sorted.length < 2) return;
+      const below = sorted.findIndex(x => x >= v);
+      const equal = sorted.filter(x => x === v).length;
+      result[c.id] = 100 * (below + (equal - 1) / 2) / (sorted.length - 1);
+    });
+    return result;
+  }
+
+  /**
+   * The `count` countries most similar to countryId, most similar first:
+   * [{ id, similarity (0-100, 100 = identical), gaps: { pillarId: other - this } }].
+   * options.include: any of 'economics', 'demographics' besides the pillar scores.
+   */
+  function getPeers(countryId, options = {}) {
+    const country = getCountry(countryId);
+    if (!country) return [];
+    const count = options.count || 5;
+    const sources = { economics: getEconomics, demographics: getDemographics };
+    const groups = [getPillars().map(p => {
+      const values = {};
+      getAllCountries().forEach(c => { if (c.scores[p.id] != null) values[c.id] = c.scores[p.id]; });
+      return values;
+    })];
+    (options.include || []).filter(g => PEER_FEATURES[g]).forEach(g => {
+      groups.push(PEER_FEATURES[g].map(field => _percentiles(sources[g], field)));
+    });
+
+    // Root mean square difference in points, averaged over the groups a pair has data for
+    const distance = otherId => {
+      const parts = groups.map(features => {
+        const diffs = features.filter(f => f[countryId] != null && f[otherId] != null).map(f => (f[countryId] - f[otherId]) ** 2);
+        return diffs.length >= features.length / 2 ? diffs.reduce((s, d) => s + d, 0) / diffs.length : null;
+      });
+      if (parts[0] == null) return null;
+      const known = parts.filter(d => d != null);
+      return Math.sqrt(known.reduce((s, d) => s + d, 0) / known.length);
+    };
+
+    return getAllCountries()
+      .filter(c => c.id !== countryId)
+      .map(c => ({ c, d: distance(c.id) }))
+      .filter(x => x.d != null)
+      .sort((a, b) => a.d - b.d)
+      .slice(0, count)
+      .map(({ c, d }) => {
+        const gaps = {};
+        getPillars().forEach(p => {
+          if (c.scores[p.id] != null && country.scores[p.id] != null) gaps[p.id] = c.scores[p.id] - country.scores[p.id];
+        });
+        return { id: c.id, similarity: Math.max(0, Math.round(100 - d)), gaps };
+      });
+  }
+
   // Monthly updates (auto-hides entries older than 2 months)
   const _updates = [
     { id: 'mar2026b', date: '2026-03-27', icon: '🔍', titleKey: 'updates.mar2026b.title', descKey: 'updates.mar2026b.desc' },
@@ -116,5 +334,5 @@ const Data = (() => {
     return _updates.filter(u => new Date(u.date) >= cutoff);
   }
 
-  return { init, getAllCountries, getCountry, getPillars, getPillar, getGlobalAverages, getOverallScore, getRanking, getScoreLabel, getEconomics, getPolitics, getAllPolitics, getDemographics, getUpdates };
+  return { init, getAllCountries, getCountry, getPillars, getPillar, getGlobalAverages, getRegion, getRegions, isRegion, matchesRegion, getRegionalAverages, getAggregate, getPeers, setWeights, getWeights, getOverallScore, getRanking, getRankWith, getScoreLabel, getEconomics, getPolitics, getAllPolitics, getDemographics, getReleases, getScoreHistory, getUpdates };
 })();
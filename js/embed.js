@@ -0,0 +1,179 @@
+/**
+ * embed.js - Widgets for other sites, rendered by embed.html
+ *
+ *   embed.html?widget=country&id=norway[&fields=flag,overall,rank,label,pillars,region]
+ *   embed.html?widget=ranking&pillar=overall&n=10[&region=continent:africa][&fields=flag,score,bar]
+ *   embed.html?widget=compare&c=norway&c=japan[&c=...]
+ *
+ * Every widget also takes lang=<code> (default: the visitor's saved choice or
+ * browser language), theme=light|dark, size=s|m|l and frame=<iframe id>.
+ * The map is embedded directly: map.html?layer=<indicator>&lang=<code>.
+ *
+ * After every layout change the widget posts its height to the parent page:
+ *   { type: 'gpb-embed-resize', frame: '<frame param>', height: <px> }
+ * and it listens for { type: 'gpb-lang', lang } like the map. See docs/embed.md.
+ */
+(async () => {
+  const params = new URLSearchParams(window.location.search);
+  // The site the widget is served from (links open there, in a new tab)
+  const SITE = new URL('.', window.location.href).href;
+  const PALETTE = ['#009edb', '#e65100', '#2e7d32', '#8e24aa', '#c62828', '#00838f', '#6d4c41', '#3949ab', '#f9a825', '#546e7a'];
+  const DEFAULT_FIELDS = {
+    country: ['flag', 'overall', 'rank', 'pillars'],
+    ranking: ['flag', 'score', 'bar']
+  };
+
+  await Data.init();
+  // ?lang applies to this widget only, the visitor's saved choice is kept
+  await I18n.init({ lang: params.get('lang') });
+
+  const widget = params.get('widget') || 'country';
+  const fields = params.has('fields') ? params.get('fields').split(',') : DEFAULT_FIELDS[widget] || [];
+  const show = field => fields.includes(field);
+  const root = document.getElementById('embed');
+  let chart = null;
+
+  document.body.classList.add('embed-theme-' + (params.get('theme') === 'dark' ? 'dark' : 'light'));
+  document.body.classList.add('embed-size-' + (['s', 'l'].includes(params.get('size')) ? params.get('size') : 'm'));
+
+  // Links leave the partner's page in a new tab
+  const siteLink = (path, html) => `<a href="${SITE}${path}" target="_blank" rel="noopener">${html}</a>`;
+  const scoreClass = score => 'score-' + Data.getScoreLabel(score);
+
+  function renderCountry() {
+    const country = Data.getCountry(params.get('id'));
+    if (!country) return `<p class="embed-empty">${I18n.t('country.not_found')}</p>`;
+    const name = I18n.getCountryName(country);
+    const overall = Data.getOverallScore(country);
+    const ranking = Data.getRanking('overall');
+    const rank = ranking.findIndex(r => r.id === country.id) + 1;
+
+    const meta = [
+      show('overall') ? `<div class="embed-stat"><span class="embed-stat-value ${scoreClass(overall)}-text">${overall}<small>/100</small></span><span class="embed-stat-label">${I18n.t('country.overall')}</span></div>` : '',
+      show('rank') ? `<div class="embed-stat"><span class="embed-stat-value">#${rank}<small> / ${ranking.length}</small></span><span class="embed-stat-label">${I18n.t('country.rank')}</span></div>` : '',
+      show('label') ? `<div class="embed-stat"><span class="embed-stat-value embed-stat-text">${I18n.t('score.' + Data.getScoreLabel(overall))}</span><span class="embed-stat-label">${I18n.t('map.legend.title')}</span></div>` : ''
+    ].join('');
+
+    const pillars = show('pillars') ? `
+      <div class="embed-bars">${Data.getPillars().map(p => {
+        const score = country.scores[p.id] || 0;
+        return `
+        <div class="embed-bar-row">
+          <span class="embed-bar-label">${p.icon} ${I18n.t(p.name_key)}</span>
+          <span class="embed-bar-track"><span class="embed-bar-fill ${scoreClass(score)}" style="width:${score}%"></span></span>
+          <span class="embed-bar-value">${score}</span>
+        </div>`;
+      }).join('')}
+      </div>` : '';
+
+    return `
+      <div class="embed-head">
+        ${show('flag') && country.image ? `<img src="${country.image}" alt="" class="embed-flag">` : ''}
+        <div>
+          <h1 class="embed-title">${siteLink('country.html?id=' + country.id, name)}</h1>
+          ${show('region') && country.region ? `<div class="embed-sub">${I18n.t('geo.region.' + country.region)}</div>` : ''}
+        </div>
+      </div>
+      ${meta ? `<div class="embed-stats">${meta}</div>` : ''}
+      ${pillars}`;
+  }
+
+  function renderRanking() {
+    const pillar = Data.getPillar(params.get('pillar'));
+    const pillarId = pillar ? pillar.id : 'overall';
+    const n = Math.min(Math.max(parseInt(params.get('n'), 10) || 10, 1), 50);
+    // Unknown codes are dropped: the widget runs on other sites and the value ends up in markup
+    const region = Data.isRegion(params.get('region')) ? params.get('region') : '';
+    const rows = Data.getRanking(pillarId).filter(r => Data.matchesRegion(r.id, region)).slice(0, n);
+    const title = pillar ? `${pillar.icon} ${I18n.t(pillar.name_key)}` : I18n.t('ranking.all_pillars');
+    const regionName = region ? I18n.t('geo.' + region.replace(':', '.')) : '';
+
+    return `
+      <h1 class="embed-title">${siteLink('pillar.html?id=' + pillarId + (region ? '&region=' + encodeURIComponent(region) : ''), title)}</h1>
+      ${regionName ? `<div class="embed-sub">${regionName}</div>` : ''}
+      <ol class="embed-ranking">${rows.map((r, i) => {
+        const country = Data.getCountry(r.id);
+        return `
+        <li class="embed-bar-row">
+          <span class="embed-rank">${i + 1}</span>
+          <span class="embed-bar-label">${show('flag') && country.image ? `<img src="${country.image}" alt="" class="embed-flag-small">` : ''}${siteLink('country.html?id=' + r.id, I18n.getCountryName(country))}</span>
+          ${show('bar') ? `<span class="embed-bar-track"><span class="embed-bar-fill ${scoreClass(r.score)}" style="width:${r.score}%"></span></span>` : ''}
+          ${show('score') ? `<span class="embed-bar-value">${r.score}</span>` : ''}
+        </li>`;
+      }).join('')}
+      </ol>`;
+  }
+
+  function renderCompare() {
+    const countries = params.getAll('c').map(id => Data.getCountry(id)).filter(Boolean).slice(0, PALETTE.length);
+    if (!countries.length) return `<p class="embed-empty">${I18n.t('compare.title')}</p>`;
+    return `
+      <h1 class="embed-title">${siteLink('compare.html?' + countries.map(c => 'c=' + c.id).join('&'), I18n.t('compare.title'))}</h1>
+      <canvas id="embed-radar"></canvas>`;
+  }
+
+  function drawRadar() {
+    const canvas = document.getElementById('embed-radar');
+    if (!canvas || typeof Chart === 'undefined') return;
+    const pillars = Data.getPillars();
+    const countries = params.getAll('c').map(id => Data.getCountry(id)).filter(Boolean).slice(0, PALETTE.length);
+    const dark = document.body.classList.contains('embed-theme-dark');
+    chart = new Chart(canvas, {
+      type: 'radar',
+      data: {
+        labels: pillars.map(p => I18n.t(p.name_key)),
+        datasets: countries.map((c, i) => ({
+          label: I18n.getCountryName(c),
+          data: pillars.map(p => c.scores[p.id] || 0),
+          borderColor: PALETTE[i],
+          backgroundColor: PALETTE[i] + '22',
+          pointBackgroundColor: PALETTE[i],
+          borderWidth: 2
+        }))
+      },
+      options: {
+        responsive: true,
+        animation: false,
+        scales: {
+          r: {
+            beginAtZero: true,
+            max: 100,
+            ticks: { stepSize: 20, font: { size: 9 }, backdropColor: 'transparent', color: dark ? '#aaa' : '#666' },
+            grid: { color: dark ? '#444' : '#ddd' },
+            angleLines: { color: dark ? '#444' : '#ddd' },
+            pointLabels: { font: { size: 10 }, color: dark ? '#ddd' : '#333' }
+          }
+        },
+        plugins: { legend: { position: 'bottom', labels: { color: dark ? '#ddd' : '#333' } } }
+      }
+    });
+  }
+
+  function postHeight() {
+    if (window.parent === window) return;
+    const height = Math.ceil(document.documentElement.getBoundingClientRect().height);
+    window.parent.postMessage({ type: 'gpb-embed-resize', frame: params.get('frame') || '', height }, '*');
+  }
+
+  function render() {
+    if (chart) { chart.destroy(); chart = null; }
+    const body = widget === 'ranking' ? renderRanking() : widget === 'compare' ? renderCompare() : renderCountry();
+    root.innerHTML = `
+      ${body}
+      <div class="embed-credit">${siteLink('', 'World Barometer')}</div>`;
+    if (widget === 'compare') drawRadar();
+    postHeight();
+  }
+
+  render();
+  if (typeof ResizeObserver !== 'undefined') new ResizeObserver(postHeight).observe(document.body);
+  // Flags load after the first height was sent
+  root.addEventListener('load', postHeight, true);
+
+  // From the embedding page only, and for this widget only (as ?lang)
+  window.addEventListener('message', async e => {
+    if (e.source !== window.parent || e.source === window) return;
+    if (e.data && e.data.type === 'gpb-lang') await I18n.setLang(e.data.lang, { save: false });
+  });
+  document.addEventListener('gpb-lang-change', render);
+})();
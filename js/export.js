@@ -0,0 +1,243 @@
+/**
+ * export.js - Download ranking and comparison tables as CSV, JSON or XLSX
+ * Reads the rendered table, so exports contain exactly the rows and columns
+ * on screen in the current language. Cells may carry data-value with the raw
+ * number; headers may carry data-unit (appended to the column name unless
+ * it already names it) and data-label (used when the visible header is empty).
+ */
+const TableExport = (() => {
+  const FORMATS = ['csv', 'json', 'xlsx'];
+
+  function toolbarHtml(name) {
+    return `
+      <div class="table-export" data-export-name="${name}">
+        <span class="table-export-label">${I18n.t('export.label')}</span>
+        ${FORMATS.map(f => `<button type="button" class="table-export-btn" data-format="${f}">${f.toUpperCase()}</button>`).join('')}
+      </div>`;
+  }
+
+  // Wire every toolbar in the container to the table that follows it
+  function bind(container) {
+    if (!container) return;
+    container.querySelectorAll('.table-export').forEach(bar => {
+      const wrap = bar.nextElementSibling;
+      const table = wrap && (wrap.tagName === 'TABLE' ? wrap : wrap.querySelector('table'));
+      if (!table) return;
+      bar.querySelectorAll('.table-export-btn').forEach(btn => {
+        btn.addEventListener('click', () => download(table, bar.dataset.exportName, btn.dataset.format));
+      });
+    });
+  }
+
+  function _cellValue(cell) {
+    if (cell.dataset.value != null) {
+      const raw = cell.dataset.value;
+      if (raw === '') return null;
+      const n = Number(raw);
+      return isNaN(n) ? raw : n;
+    }
+    const text = cell.textContent.replace(/\s+/g, ' ').trim();
+    if (text === '' || text === '—' || text === '-') return null;
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+  }
+
+  // { columns: [label], rows: [[value]] } for the visible rows of a table
+  function read(table) {
+    const headRows = table.tHead ? table.tHead.rows : [];
+    const head = headRows.length ? headRows[headRows.length - 1] : null;
+    const columns = head ? Array.from(head.cells).map((th, i) => {
+      const label = th.dataset.label || th.textContent.replace(/\s+/g, ' ').trim() || `#${i + 1}`;
+      return th.dataset.unit && !label.includes(th.dataset.unit) ? `${label} (${th.dataset.unit})` : label;
+    }) : [];
+
+    const rows = [];
+    Array.from(table.tBodies).forEach(tbody => {
+      Array.from(tbody.rows).forEach(tr => {
+        if (tr.hidden || tr.style.display === 'none') return;
+        rows.push(Array.from(tr.cells).map(_cellValue));
+      });
+    });
+    return { columns, rows };
+  }
+
+  function toCsv({ columns, rows }) {
+    const quote = v => {
+      if (v == null) return '';
+      const s = String(v);
+      return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    // BOM so spreadsheet apps detect UTF-8 (Arabic, Chinese, ... country names)
+    return '\uFEFF' + [columns].concat(rows).map(r => r.map(quote).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function toJson({ columns, rows }) {
+    const records = rows.map(r => {
+      const obj = {};
+      columns.forEach((c, i) => { obj[c] = r[i] != null ? r[i] : null; });
+      return obj;
+    });
+    return JSON.stringify(records, null, 2) + '\n';
+  }
+
+  // ----- XLSX: a minimal SpreadsheetML package in an uncompressed ZIP -----
+
+  const _xmlEscape = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+  function _colName(i) {
+    let name = '';
+    for (i++; i > 0; i = Math.floor((i - 1) / 26)) name = String.fromCharCode(65 + (i - 1) % 26) + name;
+    return name;
+  }
+
+  function _sheetXml({ columns, rows }) {
+    const cell = (v, ref, style) => {
+      if (v == null) return '';
+      if (typeof v === 'number') return `<c r="${ref}"${style}><v>${v}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${_xmlEscape(v)}</t></is></c>`;
+    };
+    const rowXml = (r, ri, style) =>
+      `<row r="${ri + 1}">${r.map((v, ci) => cell(v, _colName(ci) + (ri + 1), style)).join('')}</row>`;
+    const data = [rowXml(columns, 0, ' s="1"')].concat(rows.map((r, i) => rowXml(r, i + 1, ''))).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<sheetData>${data}</sheetData></worksheet>`;
+  }
+
+  function _xlsxFiles(table, sheetName) {
+    const name = _xmlEscape(sheetName.replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+    const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const pkg = 'http://schemas.openxmlformats.org/package/2006';
+    const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    return {
+      '[Content_Types].xml': head +
+        `<Types xmlns="${pkg}/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+      '_rels/.rels': head +
+        `<Relationships xmlns="${pkg}/relationships">` +
+        `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+      'xl/workbook.xml': head +
+        `<workbook xmlns="${main}" xmlns:r="${rel}"><sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+      'xl/_rels/workbook.xml.rels': head +
+        `<Relationships xmlns="${pkg}/relationships">` +
+        `<Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/>` +
+        '</Relationships>',
+      'xl/styles.xml': head +
+        `<styleSheet xmlns="${main}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>',
+      'xl/worksheets/sheet1.xml': _sheetXml(table)
+    };
+  }
+
+  let _crcTable = null;
+  function _crc32(bytes) {
+    if (!_crcTable) {
+      _crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        _crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // Store-only ZIP (no compression): small tables, and no dependency needed
+  function _zip(files) {
+    const enc = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    const header = size => new DataView(new ArrayBuffer(size));
+
+    Object.keys(files).forEach(path => {
+      const name = enc.encode(path);
+      const data = enc.encode(files[path]);
+      const crc = _crc32(data);
+
+      const local = header(30);
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);  // UTF-8 names
+      local.setUint16(8, 0, true);       // stored
+      local.setUint16(12, 0x21, true);   // 1980-01-01
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      chunks.push(new Uint8Array(local.buffer), name, data);
+
+      const entry = header(46);
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(14, 0x21, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(new Uint8Array(entry.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((s, c) => s + c.length, 0);
+    const end = header(22);
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, Object.keys(files).length, true);
+    end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(chunks.concat(central, [new Uint8Array(end.buffer)]),
+      { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  }
+
+  function toXlsx(table, sheetName) {
+    return _zip(_xlsxFiles(table, sheetName));
+  }
+
+  function _save(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function download(tableEl, name, format) {
+    const table = read(tableEl);
+    const filename = `world-barometer-${name}-${I18n.getLang()}.${format}`;
+    if (format === 'csv') {
+      _save(new Blob([toCsv(table)], { type: 'text/csv;charset=utf-8' }), filename);
+    } else if (format === 'json') {
+      _save(new Blob([toJson(table)], { type: 'application/json' }), filename);
+    } else if (format === 'xlsx') {
+      _save(toXlsx(table, document.title.split(' - ')[0] || name), filename);
+    }
+  }
+
+  return { toolbarHtml, bind, read, toCsv, toJson, toXlsx, download };
+})();
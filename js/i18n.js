@@ -9,10 +9,29 @@ const I18n = (() => {
   let _manifest = [];
   const _v = '20260327';
 
-  async function init() {
-    _lang = localStorage.getItem('gpb-lang') || 'en';
+  // ?i18n-debug=1 (kept for the session, ?i18n-debug=0 turns it off): every key
+  // t() could not serve from the current language is recorded and highlighted
+  let _debug = false;
+  let _debugKeys = {};  // key -> 'fallback' (English shown) | 'missing' (raw key) | 'placeholder'
+
+  // The first of these that names a language we have wins:
+  //   options.lang    set by the page for itself only (widgets, the map), not saved
+  //   /de/...         static pages of scripts/prerender.js, saved like setLang
+  //   ?lang=de        shared links, saved like setLang
+  //   localStorage    the visitor's choice in the switcher (setLang)
+  //   navigator       the browser's languages, until a choice is made
+  async function init(options = {}) {
+    const params = new URLSearchParams(window.location.search);
+    const debugParam = params.get('i18n-debug');
+    if (debugParam != null) sessionStorage.setItem('gpb-i18n-debug', debugParam === '1' ? '1' : '');
+    _debug = sessionStorage.getItem('gpb-i18n-debug') === '1';
+
     const resp = await fetch('data/lang/index.json?v=' + _v);
     _manifest = await resp.json();
+    const known = code => code && _manifest.includes(code);
+    const urlLang = [_pathLang(), params.get('lang')].find(known);
+    if (!known(options.lang) && urlLang) localStorage.setItem('gpb-lang', urlLang);
+    _lang = [options.lang, urlLang, localStorage.getItem('gpb-lang')].find(known) || _browserLang() || 'en';
 
     // Always load English as fallback
     const enResp = await fetch('data/lang/en.json?v=' + _v);
@@ -33,9 +52,26 @@ const I18n = (() => {
     _applyDir();
     _applyTranslations();
     _buildSwitcher();
+    _addAlternates();
+    if (_debug) _debugStart();
+  }
+
+  // de/country/norway.html -> 'de' (the path below the site root)
+  function _pathLang() {
+    const base = new URL('.', document.baseURI).pathname;
+    const path = window.location.pathname;
+    const m = path.startsWith(base) ? /^([a-z]{2})\//.exec(path.slice(base.length)) : null;
+    return m ? m[1] : null;
+  }
+
+  // 'de-AT' -> 'de': the first of the browser's languages we have
+  function _browserLang() {
+    const prefs = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+    return prefs.map(l => String(l).toLowerCase().split('-')[0]).find(l => _manifest.includes(l)) || null;
   }
 
   function t(key) {
+    if (_debug) _debugTrack(key);
     return _strings[key] || _fallback[key] || key;
   }
 
@@ -43,6 +79,119 @@ const I18n = (() => {
     return _lang;
   }
 
+  // ----- Messages and numbers -----
+
+  // Intl objects are costly to build: one per language + options
+  const _intl = {};
+  function _cached(kind, options, build) {
+    const key = `${kind}|${_lang}|${JSON.stringify(options || {})}`;
+    if (!_intl[key]) _intl[key] = build();
+    return _intl[key];
+  }
+
+  function formatNumber(value, options) {
+    if (value == null || isNaN(value)) return '';
+    return _cached('number', options, () => new Intl.NumberFormat(_lang, options)).format(value);
+  }
+
+  const _hasDigits = o => ['minimumFractionDigits', 'maximumFractionDigits', 'maximumSignificantDigits'].some(k => k in o);
+
+  // Whole units by default; compact notation keeps one decimal ("$579.3B", "579,3 Mrd. $")
+  function formatCurrency(value, currency = 'USD', options = {}) {
+    const digits = _hasDigits(options) ? {} : { minimumFractionDigits: 0, maximumFractionDigits: options.notation === 'compact' ? 1 : 0 };
+    return formatNumber(value, Object.assign({ style: 'currency', currency }, digits, options));
+  }
+
+  // value in percent (3.5 -> "3.5%", "3,5 %")
+  function formatPercent(value, digits = 1, options = {}) {
+    if (value == null || isNaN(value)) return '';
+    return formatNumber(value / 100, Object.assign({ style: 'percent', minimumFractionDigits: 0, maximumFractionDigits: digits }, options));
+  }
+
+  // 5500000 -> "5.5M", "5,5 Mio.", "550万"
+  function formatCompact(value, options = {}) {
+    return formatNumber(value, Object.assign({ notation: 'compact' }, _hasDigits(options) ? {} : { maximumFractionDigits: 1 }, options));
+  }
+
+  function _matchBrace(str, open) {
+    let depth = 0;
+    for (let i = open; i < str.length; i++) {
+      if (str[i] === '{') depth++;
+      else if (str[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+  }
+
+  // "one {# point} other {# points}" -> { one: '# point', other: '# points' }
+  function _options(body) {
+    const options = {};
+    let i = 0;
+    for (let m; (m = /^\s*(=?[\w-]+)\s*\{/.exec(body.slice(i)));) {
+      const open = i + m[0].length - 1;
+      const close = _matchBrace(body, open);
+      if (close < 0) break;
+      options[m[1]] = body.slice(open + 1, close);
+      i = close + 1;
+    }
+    return options;
+  }
+
+  function _display(value) {
+    if (value == null) return '';
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  }
+
+  function _formatArg(value, type, body, args) {
+    if (!type) return _display(value);
+    const options = _options(body);
+    if (type === 'select') return format(options[value] != null ? options[value] : (options.other || ''), ...args);
+
+    // Arguments often arrive wrapped in markup ('<strong>12</strong>'): pick by the number inside
+    const n = typeof value === 'number' ? value : parseFloat(String(value).replace(/<[^>]*>/g, '').replace(/[^\d.-]/g, ''));
+    const category = _cached('plural', null, () => new Intl.PluralRules(_lang)).select(n);
+    const branch = options['=' + n] != null ? options['=' + n] : options[category] != null ? options[category] : (options.other || '');
+    // "#" is the argument as displayed; nested messages keep their own "#"
+    let out = '';
+    let depth = 0;
+    for (const ch of branch) {
+      if (ch === '{') depth++;
+      if (ch === '}') depth--;
+      out += ch === '#' && depth === 0 ? _display(value) : ch;
+    }
+    return format(out, ...args);
+  }
+
+  /**
+   * ICU-style message formatting:
+   *   {0}                                  argument, numbers formatted for the language
+   *   {0, plural, one {# item} other {# items}}   also =0, two, few, many (Intl.PluralRules)
+   *   {0, select, war {...} other {...}}
+   */
+  function format(message, ...args) {
+    const str = String(message);
+    let out = '';
+    let i = 0;
+    while (i < str.length) {
+      const open = str.indexOf('{', i);
+      if (open < 0) { out += str.slice(i); break; }
+      const close = _matchBrace(str, open);
+      const m = close > 0 && /^\s*(\d+)\s*(?:,\s*(plural|select)\s*,([\s\S]*))?$/.exec(str.slice(open + 1, close));
+      if (!m) {
+        out += str.slice(i, open + 1);
+        i = open + 1;
+        continue;
+      }
+      out += str.slice(i, open) + _formatArg(args[+m[1]], m[2], m[3], args);
+      i = close + 1;
+    }
+    return out;
+  }
+
+  // t() + format()
+  function tf(key, ...args) {
+    return format(t(key), ...args);
+  }
+
   function getManifest() {
     return _manifest;
   }
@@ -52,9 +201,30 @@ const I18n = (() => {
     return country.name.en || country.id;
   }
 
-  async function setLang(lang) {
+  // options.save = false: this page only, the visitor's saved choice and the
+  // address stay (widgets told by the page that embeds them)
+  async function setLang(lang, options = {}) {
+    if (!_manifest.includes(lang)) return;
+    const save = options.save !== false;
+    if (save) localStorage.setItem('gpb-lang', lang);
+
+    // Static pages exist once per language: open the same page in the new one
+    const pathLang = _pathLang();
+    if (save && pathLang && pathLang !== lang) {
+      const base = new URL('.', document.baseURI).pathname;
+      window.location.assign(base + lang + window.location.pathname.slice(base.length + pathLang.length) + window.location.search + window.location.hash);
+      return;
+    }
+
     _lang = lang;
-    localStorage.setItem('gpb-lang', lang);
+    // Keep the address in step, so a copied link opens in this language
+    if (save && !pathLang) {
+      const params = new URLSearchParams(window.location.search);
+      params.set('lang', lang);
+      // Keep the ?w= colons readable
+      const query = params.toString().replace(/%3A/g, ':').replace(/%2C/g, ',');
+      history.replaceState(null, '', window.location.pathname + '?' + query + window.location.hash);
+    }
 
     if (lang !== 'en') {
       try {
@@ -67,6 +237,7 @@ const I18n = (() => {
       _strings = _fallback;
     }
 
+    _debugKeys = {};
     _applyDir();
     _applyTranslations();
     _updateSwitcher();
@@ -91,6 +262,25 @@ const I18n = (() => {
     }
   }
 
+  // hreflang alternates for pages without static copies (index.html,
+  // country.html?id=...): the same address with ?lang=, x-default without it
+  function _addAlternates() {
+    if (document.querySelector('link[rel="alternate"][hreflang]') || document.querySelector('meta[name="robots"][content*="noindex"]')) return;
+    const url = new URL(window.location.href);
+    url.hash = '';
+    const add = (hreflang, lang) => {
+      if (lang) url.searchParams.set('lang', lang);
+      else url.searchParams.delete('lang');
+      const link = document.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = hreflang;
+      link.href = url.href.replace(/%3A/g, ':').replace(/%2C/g, ',');
+      document.head.appendChild(link);
+    };
+    _manifest.forEach(lang => add(lang, lang));
+    add('x-default', null);
+  }
+
   function _applyTranslations() {
     document.querySelectorAll('[data-i18n]').forEach(el => {
       const key = el.getAttribute('data-i18n');
@@ -139,5 +329,115 @@ const I18n = (() => {
     });
   }
 
-  return { init, t, getLang, getManifest, getCountryName, setLang };
+  // ----- Translation debug mode -----
+
+  // Argument indexes a message uses: "{0}" and "{0, plural, ...}" both count as 0
+  const _placeholders = str => Array.from(new Set((String(str).match(/\{\s*\d+\s*[,}]/g) || []).map(m => m.replace(/\D/g, '')))).sort().join(' ');
+
+  function _debugTrack(key) {
+    if (!_strings[key]) {
+      _debugKeys[key] = _fallback[key] ? 'fallback' : 'missing';
+    } else if (_fallback[key] && _placeholders(_strings[key]) !== _placeholders(_fallback[key])) {
+      _debugKeys[key] = 'placeholder';  // _tpl() would drop or leave a {n}
+    }
+  }
+
+  // Longest literal run of a string as rendered (no tags, no {n}) to find it in the page
+  function _needle(str) {
+    const parts = String(str).replace(/<[^>]*>/g, ' ').split(/\{\d+\}|\s{2,}/).map(p => p.trim());
+    return parts.sort((a, b) => b.length - a.length)[0] || '';
+  }
+
+  function _debugHighlight() {
+    document.querySelectorAll('[data-i18n-debug]').forEach(el => {
+      el.removeAttribute('data-i18n-debug');
+      if (el.hasAttribute('data-i18n-debug-title')) el.removeAttribute('title');
+      el.removeAttribute('data-i18n-debug-title');
+    });
+
+    const needles = [];
+    Object.keys(_debugKeys).forEach(key => {
+      const status = _debugKeys[key];
+      const text = status === 'missing' ? key : status === 'fallback' ? _fallback[key] : _strings[key];
+      const needle = _needle(text);
+      if (needle.length >= 3) needles.push({ key, status, needle });
+    });
+
+    const mark = (el, n) => {
+      if (!el || el.closest('.i18n-debug-panel')) return;
+      el.setAttribute('data-i18n-debug', n.status);
+      // Hover shows the key, unless the element has a title of its own
+      if (!el.hasAttribute('title')) {
+        el.title = `${n.key} (${n.status})`;
+        el.setAttribute('data-i18n-debug-title', '');
+      }
+    };
+
+    // Static markup keeps its English default when a key is missing
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      const key = el.getAttribute('data-i18n');
+      if (_debugKeys[key]) mark(el, { key, status: _debugKeys[key] });
+    });
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const parent = node.parentElement;
+      if (!parent || /^(SCRIPT|STYLE)$/.test(parent.tagName)) continue;
+      const found = needles.find(n => node.nodeValue.includes(n.needle));
+      if (found) mark(parent, found);
+    }
+    _debugPanel();
+  }
+
+  function _debugPanel() {
+    let panel = document.querySelector('.i18n-debug-panel');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.className = 'i18n-debug-panel';
+      document.body.appendChild(panel);
+    }
+    const keys = Object.keys(_debugKeys).sort();
+    const count = status => keys.filter(k => _debugKeys[k] === status).length;
+    const notInLang = Object.keys(_fallback).filter(k => !_strings[k]).length;
+    const list = keys.map(k => `<li data-status="${_debugKeys[k]}"><code>${k}</code> ${_debugKeys[k]}</li>`).join('');
+    const off = new URLSearchParams(window.location.search);
+    off.set('i18n-debug', '0');
+    panel.innerHTML = `
+      <strong>i18n debug · ${_lang}</strong>
+      <div>On this page: ${count('fallback')} in English, ${count('missing')} raw keys, ${count('placeholder')} placeholder mismatches</div>
+      <div>${_lang}.json: ${notInLang} of ${Object.keys(_fallback).length} keys missing</div>
+      ${keys.length ? `<details><summary>Keys</summary><ul>${list}</ul></details>` : ''}
+      <a href="?${off.toString()}">Turn off</a>`;
+  }
+
+  function _debugStart() {
+    const style = document.createElement('style');
+    // Injected rather than in main.css: map.html has its own stylesheet
+    style.textContent = `
+      [data-i18n-debug] { outline: 2px dashed #e65100; outline-offset: 1px; }
+      [data-i18n-debug="missing"] { outline-color: #c62828; background: rgba(198,40,40,0.08); }
+      [data-i18n-debug="placeholder"] { outline-color: #6a1b9a; }
+      .i18n-debug-panel { position: fixed; bottom: 10px; right: 10px; z-index: 10000; max-width: 360px; max-height: 50vh; overflow: auto;
+        background: #fff; border: 2px solid #e65100; border-radius: 6px; padding: 8px 12px; font: 12px/1.5 monospace; color: #222; box-shadow: 0 2px 10px rgba(0,0,0,0.2); }
+      .i18n-debug-panel ul { margin: 4px 0; padding-left: 16px; }
+      .i18n-debug-panel li[data-status="missing"] { color: #c62828; }
+      .i18n-debug-panel li[data-status="placeholder"] { color: #6a1b9a; }`;
+    document.head.appendChild(style);
+
+    // Pages render asynchronously and re-render on every change: rescan after each burst
+    let timer = null;
+    const observer = new MutationObserver(mutations => {
+      const inPanel = node => {
+        const el = node.nodeType === 1 ? node : node.parentElement;
+        return el && el.closest('.i18n-debug-panel');
+      };
+      if (mutations.every(m => inPanel(m.target))) return;
+      clearTimeout(timer);
+      timer = setTimeout(_debugHighlight, 200);
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    _debugHighlight();
+  }
+
+  return { init, t, tf, format, formatNumber, formatCurrency, formatPercent, formatCompact, getLang, getManifest, getCountryName, setLang };
 })();
@@ -0,0 +1,209 @@
+/**
+ * indicators.js - Registry of country metrics that can be mapped or plotted
+ * Each indicator knows where its value lives, how to label and format it,
+ * which direction is better and which legend breaks suit its distribution
+ */
+const Indicators = (() => {
+  const CLASSES = 5;
+
+  // Low -> high; "better" palettes read red -> green, neutral ones light -> dark blue
+  const PALETTE_BETTER = ['#d32f2f', '#ff9800', '#ffc107', '#8bc34a', '#2e7d32'];
+  const PALETTE_NEUTRAL = ['#deebf7', '#9ecae1', '#4292c6', '#2171b5', '#08306b'];
+  const NO_DATA = '#cfd8dc';
+
+  const SCORE_BREAKS = [20, 40, 60, 80];
+  const SCORE_LABELS = ['map.legend.low', 'map.legend.below_avg', 'map.legend.average', 'map.legend.above_avg', 'map.legend.high'];
+
+  // Money is USD (gdp, exports, imports in billions), shown in the site's currency
+  // (Currency; 'local' means USD here, as legends span many countries).
+  // All formats follow the page language.
+  function fmtK(v, options) {
+    options = Object.assign({ notation: 'compact' }, options);
+    return typeof Currency !== 'undefined' ? Currency.format(v, null, options) : I18n.formatCurrency(v, 'USD', options);
+  }
+  const fmtB = (v, options) => fmtK(v * 1e9, options);
+  // PPP figures are international dollars: never converted to another currency
+  const fmtPpp = v => I18n.formatCurrency(v, 'USD', { notation: 'compact' });
+  const fmtPppB = v => fmtPpp(v * 1e9);
+  const fmtPop = v => I18n.formatCompact(v);
+  const fmtPct = (v, options) => I18n.formatPercent(v, 1, Object.assign({ minimumFractionDigits: 1 }, options));
+  const fmtDec = digits => v => I18n.formatNumber(v, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  const fmtRank = v => '#' + Math.round(v);
+
+  const _field = (source, key) => id => {
+    const rec = source(id);
+    return rec && typeof rec[key] === 'number' ? rec[key] : null;
+  };
+  const econ = key => _field(Data.getEconomics, key);
+  const pol = key => _field(Data.getPolitics, key);
+  const demo = key => _field(Data.getDemographics, key);
+
+  // better: 'higher' | 'lower' | null (neutral)
+  // scale: 'fixed' (SCORE_BREAKS), 'linear' (equal intervals), 'quantile' (equal counts), 'category'
+  const _static = [
+    { id: 'politics.democracy_score', group: 'politics', label: 'country.democracy', get: pol('democracy_score'), format: fmtDec(2), better: 'higher', scale: 'linear', domain: [0, 10] },
+    { id: 'politics.happiness_score', group: 'politics', label: 'satisfaction.title', get: pol('happiness_score'), format: fmtDec(1), better: 'higher', scale: 'linear' },
+    { id: 'politics.press_freedom_rank', group: 'politics', label: 'indicator.press_freedom_rank', get: pol('press_freedom_rank'), format: fmtRank, better: 'lower', scale: 'quantile' },
+    { id: 'politics.corruption_rank', group: 'politics', label: 'indicator.corruption_rank', get: pol('corruption_rank'), format: fmtRank, better: 'lower', scale: 'quantile' },
+    { id: 'politics.rule_of_law', group: 'politics', label: 'justice.title', get: pol('rule_of_law'), format: fmtDec(2), better: 'higher', scale: 'linear', domain: [0, 1] },
+    { id: 'politics.regime', group: 'politics', label: 'overview.regime_type', scale: 'category', field: 'regime',
+      categories: [
+        { value: 'full_democracy', label: 'pol.regime.full_democracy', color: '#2e7d32' },
+        { value: 'flawed_democracy', label: 'pol.regime.flawed_democracy', color: '#8bc34a' },
+        { value: 'hybrid_regime', label: 'pol.regime.hybrid_regime', color: '#ff9800' },
+        { value: 'authoritarian', label: 'pol.regime.authoritarian', color: '#d32f2f' }
+      ] },
+    { id: 'politics.conflict_status', group: 'politics', label: 'indicator.conflict_status', scale: 'category', field: 'conflict_status',
+      categories: [
+        { value: 'peace', label: 'peace.status.peace', color: '#2e7d32' },
+        { value: 'tension', label: 'peace.status.tension', color: '#ffc107' },
+        { value: 'minor_conflict', label: 'peace.status.minor_conflict', color: '#ff9800' },
+        { value: 'major_conflict', label: 'peace.status.major_conflict', color: '#e64a19' },
+        { value: 'war', label: 'peace.status.war', color: '#b71c1c' }
+      ] },
+
+    { id: 'economics.gdp', group: 'economics', label: 'econ.gdp', get: econ('gdp'), format: fmtB, better: null, scale: 'quantile' },
+    { id: 'economics.gdp_per_capita', group: 'economics', label: 'econ.gdp_per_capita', get: econ('gdp_per_capita'), format: fmtK, better: 'higher', scale: 'quantile' },
+    { id: 'economics.gdp_ppp', group: 'economics', label: 'econ.gdp_ppp', get: econ('gdp_ppp'), format: fmtPppB, better: null, scale: 'quantile' },
+    { id: 'economics.gdp_per_capita_ppp', group: 'economics', label: 'econ.gdp_per_capita_ppp', get: econ('gdp_per_capita_ppp'), format: fmtPpp, better: 'higher', scale: 'quantile' },
+    { id: 'economics.gni_per_capita', group: 'economics', label: 'econ.gni_per_capita', get: econ('gni_per_capita'), format: fmtK, better: 'higher', scale: 'quantile' },
+    { id: 'economics.public_debt_pct', group: 'economics', label: 'econ.public_debt', get: econ('public_debt_pct'), format: fmtPct, better: 'lower', scale: 'quantile' },
+    { id: 'economics.revenue_pct_gdp', group: 'economics', label: 'indicator.revenue_pct_gdp', get: econ('revenue_pct_gdp'), format: fmtPct, better: null, scale: 'linear' },
+    { id: 'economics.expense_pct_gdp', group: 'economics', label: 'indicator.expense_pct_gdp', get: econ('expense_pct_gdp'), format: fmtPct, better: null, scale: 'linear' },
+    { id: 'economics.unemployment', group: 'economics', label: 'econ.unemployment', get: econ('unemployment'), format: fmtPct, better: 'lower', scale: 'quantile' },
+    { id: 'economics.inflation', group: 'economics', label: 'econ.inflation', get: econ('inflation'), format: fmtPct, better: 'lower', scale: 'quantile' },
+    { id: 'economics.exports', group: 'economics', label: 'trade.exports', get: econ('exports'), format: fmtB, better: null, scale: 'quantile' },
+    { id: 'economics.imports', group: 'economics', label: 'trade.imports', get: econ('imports'), format: fmtB, better: null, scale: 'quantile' },
+    { id: 'economics.exports_per_capita', group: 'economics', label: 'trade.exports_per_capita', get: econ('exports_per_capita'), format: fmtK, better: null, scale: 'quantile' },
+    { id: 'economics.imports_per_capita', group: 'economics', label: 'trade.imports_per_capita', get: econ('imports_per_capita'), format: fmtK, better: null, scale: 'quantile' },
+    { id: 'economics.trade_balance', group: 'economics', label: 'trade.balance', get: econ('trade_balance'), format: fmtB, better: 'higher', scale: 'quantile' },
+    { id: 'economics.exports_pct_gdp', group: 'economics', label: 'trade.openness', get: econ('exports_pct_gdp'), format: fmtPct, better: null, scale: 'quantile' },
+
+    { id: 'demographics.population', group: 'demographics', label: 'demo.population', get: demo('population'), format: fmtPop, better: null, scale: 'quantile' },
+    { id: 'demographics.population_growth', group: 'demographics', label: 'demo.pop_growth', get: demo('population_growth'), format: v => fmtPct(v, { signDisplay: 'exceptZero' }), better: null, scale: 'quantile' },
+    { id: 'demographics.population_density', group: 'demographics', label: 'demo.density', get: demo('population_density'), format: fmtDec(0), better: null, scale: 'quantile' },
+    { id: 'demographics.median_age', group: 'demographics', label: 'demo.median_age', get: demo('median_age'), format: fmtDec(1), better: null, scale: 'linear' },
+    { id: 'demographics.age_0_14', group: 'demographics', label: 'indicator.age_0_14', get: demo('age_0_14'), format: fmtPct, better: null, scale: 'linear' },
+    { id: 'demographics.age_65_plus', group: 'demographics', label: 'indicator.age_65_plus', get: demo('age_65_plus'), format: fmtPct, better: null, scale: 'linear' },
+    { id: 'demographics.urban_pct', group: 'demographics', label: 'indicator.urban_pct', get: demo('urban_pct'), format: fmtPct, better: null, scale: 'linear' },
+    { id: 'demographics.life_exp_total', group: 'demographics', label: 'demo.life_exp', get: demo('life_exp_total'), format: fmtDec(1), better: 'higher', scale: 'linear' },
+    { id: 'demographics.literacy_rate', group: 'demographics', label: 'demo.literacy', get: demo('literacy_rate'), format: fmtPct, better: 'higher', scale: 'quantile' },
+    { id: 'demographics.fertility_rate', group: 'demographics', label: 'demo.fertility', get: demo('fertility_rate'), format: fmtDec(2), better: null, scale: 'quantile' },
+    { id: 'demographics.infant_mortality', group: 'demographics', label: 'demo.infant_mortality', get: demo('infant_mortality'), format: fmtDec(1), better: 'lower', scale: 'quantile' }
+  ];
+
+  const GROUPS = ['scores', 'politics', 'economics', 'demographics'];
+
+  let _list = null;
+
+  // Score indicators are built lazily so they follow pillars.json and the current weights
+  function getAll() {
+    if (_list) return _list;
+    const score = v => `${v}/100`;
+    const scores = [
+      { id: 'overall', group: 'scores', label: 'country.overall', get: id => Data.getOverallScore(Data.getCountry(id)), format: score, better: 'higher', scale: 'fixed' }
+    ].concat(Data.getPillars().map(p => ({
+      id: p.id, group: 'scores', label: p.name_key, icon: p.icon,
+      get: id => { const c = Data.getCountry(id); return c && c.scores[p.id] != null ? c.scores[p.id] : null; },
+      format: score, better: 'higher', scale: 'fixed'
+    })));
+    _static.filter(ind => ind.scale === 'category').forEach(ind => {
+      ind.get = id => { const rec = Data.getPolitics(id); return rec ? rec[ind.field] || null : null; };
+      ind.format = v => { const cat = ind.categories.find(c => c.value === v); return cat ? I18n.t(cat.label) : v; };
+    });
+    _list = scores.concat(_static);
+    return _list;
+  }
+
+  function get(id) {
+    return getAll().find(ind => ind.id === id) || null;
+  }
+
+  // Indicators without a single value (e.g. PPP before the first World Bank refresh) are not offered
+  const _available = {};
+  function _hasData(ind) {
+    if (!(ind.id in _available)) _available[ind.id] = Data.getAllCountries().some(c => ind.get(c.id) != null);
+    return _available[ind.id];
+  }
+
+  function getGroups() {
+    return GROUPS.map(group => ({ id: group, label: `indicator.group.${group}`, items: getAll().filter(ind => ind.group === group && _hasData(ind)) }));
+  }
+
+  function label(ind) {
+    return (ind.icon ? ind.icon + ' ' : '') + I18n.t(ind.label);
+  }
+
+  // Class thresholds for a numeric indicator: value v falls in class = number of thresholds <= v
+  function getBreaks(ind, values) {
+    if (ind.scale === 'category') return [];
+    if (ind.scale === 'fixed') return SCORE_BREAKS.slice();
+    const sorted = values.filter(v => v != null).sort((a, b) => a - b);
+    if (!sorted.length) return [];
+
+    if (ind.scale === 'quantile') {
+      const breaks = [];
+      for (let i = 1; i < CLASSES; i++) {
+        const v = sorted[Math.floor(i * sorted.length / CLASSES)];
+        if (!breaks.length || v > breaks[breaks.length - 1]) breaks.push(v);
+      }
+      return breaks;
+    }
+
+    const [min, max] = ind.domain || [sorted[0], sorted[sorted.length - 1]];
+    const step = (max - min) / CLASSES;
+    if (!step) return [];
+    return Array.from({ length: CLASSES - 1 }, (_, i) => min + step * (i + 1));
+  }
+
+  function _palette(ind, count) {
+    let palette = ind.better ? PALETTE_BETTER.slice() : PALETTE_NEUTRAL.slice();
+    if (ind.better === 'lower') palette.reverse();
+    // Fewer classes (e.g. tied quantiles): spread over the full palette
+    if (count < palette.length) {
+      palette = Array.from({ length: count }, (_, i) =>
+        palette[Math.round(i * (palette.length - 1) / Math.max(count - 1, 1))]);
+    }
+    return palette;
+  }
+
+  /**
+   * Build a colour scale for an indicator over the given countries.
+   * Returns { color(value), legend: [{ color, label }] } with the legend ordered high to low.
+   */
+  function getScale(ind, countryIds) {
+    if (ind.scale === 'category') {
+      const colors = {};
+      ind.categories.forEach(c => { colors[c.value] = c.color; });
+      return {
+        color: v => colors[v] || NO_DATA,
+        legend: ind.categories.map(c => ({ color: c.color, label: I18n.t(c.label) }))
+      };
+    }
+
+    const breaks = getBreaks(ind, countryIds.map(id => ind.get(id)));
+    const palette = _palette(ind, breaks.length + 1);
+    const classOf = v => breaks.filter(b => v >= b).length;
+
+    const legend = palette.map((color, i) => {
+      let text;
+      if (ind.scale === 'fixed') {
+        text = I18n.t(SCORE_LABELS[i]);
+      } else if (i === 0) {
+        text = `< ${ind.format(breaks[0])}`;
+      } else if (i === breaks.length) {
+        text = `≥ ${ind.format(breaks[i - 1])}`;
+      } else {
+        text = `${ind.format(breaks[i - 1])} – ${ind.format(breaks[i])}`;
+      }
+      return { color, label: text };
+    }).reverse();
+
+    return {
+      color: v => v == null ? NO_DATA : palette[classOf(v)],
+      legend
+    };
+  }
+
+  return { NO_DATA, getAll, get, getGroups, label, getBreaks, getScale };
+})();
@@ -1,10 +1,13 @@
 /**
  * map.js - Leaflet map logic for World Barometer
- * Renders country markers from data layer, supports translated popups
+ * Renders a choropleth from bundled country boundaries, coloured by any indicator
  */
 (async () => {
   await Data.init();
-  await I18n.init();
+  // ?lang applies to this frame only, the visitor's saved choice is kept
+  await I18n.init({ lang: new URLSearchParams(window.location.search).get('lang') });
+  Weights.init();
+  Currency.init();
 
   const map = L.map('map', {
     center: [20, 0],
@@ -14,102 +17,231 @@
     maxBounds: [[-90, -180], [90, 180]]
   });
 
-  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+  const tiles = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
     attribution: '&copy; OpenStreetMap contributors',
     maxZoom: 18
   }).addTo(map);
 
+  // Tiles are not cached by the service worker: when they fail, say so. The
+  // choropleth keeps working from the bundled boundaries.
+  let tileErrors = 0;
+  function updateOffline() {
+    const notice = document.getElementById('map-offline');
+    if (notice) notice.hidden = tileErrors === 0 && navigator.onLine;
+  }
+  tiles.on('tileerror', () => { tileErrors++; updateOffline(); });
+  tiles.on('tileload', () => { tileErrors = 0; updateOffline(); });
+  window.addEventListener('offline', updateOffline);
+  window.addEventListener('online', () => {
+    tileErrors = 0;
+    tiles.redraw();
+    updateOffline();
+  });
+
   let markers = [];
 
-  function getColor(score) {
-    if (score >= 80) return '#2e7d32';
-    if (score >= 60) return '#8bc34a';
-    if (score >= 40) return '#ffc107';
-    if (score >= 20) return '#ff9800';
-    return '#d32f2f';
+  // Metric the map is coloured by (?layer=politics.happiness_score); overall score by default
+  const params = new URLSearchParams(window.location.search);
+  let indicator = Indicators.get(params.get('layer')) || Indicators.get('overall');
+  let scale = null;
+
+  // Bundled country boundaries: the choropleth does not depend on the tile service
+  let boundaries = null;
+  try {
+    const resp = await fetch('data/boundaries.geojson');
+    if (resp.ok) boundaries = await resp.json();
+  } catch (e) {
+    console.warn('Country boundaries not loaded, falling back to markers:', e);
+  }
+
+  // Countries smaller than this (in square degrees) also get a marker so they stay clickable
+  const SMALL_AREA = 1;
+
+  function valueText(country) {
+    const v = indicator.get(country.id);
+    return v == null ? I18n.t('indicator.no_data') : indicator.format(v);
+  }
+
+  function bindCountry(layer, country, tooltipOptions) {
+    const name = I18n.getCountryName(country);
+
+    // Hover tooltip: country name + value of the current indicator
+    layer.bindTooltip(`<strong>${name}</strong> — ${valueText(country)}`, Object.assign({
+      className: 'country-tooltip'
+    }, tooltipOptions));
+
+    // Click: navigate to country page
+    const isInIframe = window.parent !== window;
+    layer.on('click', () => {
+      const url = Weights.link(`country.html?id=${country.id}`);
+      if (isInIframe) {
+        window.open(url, '_blank');
+      } else {
+        window.location.href = url;
+      }
+    });
   }
 
-  function getScoreCategory(score) {
-    if (score >= 80) return I18n.t('score.high');
-    if (score >= 60) return I18n.t('score.above_avg');
-    if (score >= 40) return I18n.t('score.average');
-    if (score >= 20) return I18n.t('score.below_avg');
-    return I18n.t('score.low');
+  function addMarker(country) {
+    const circle = L.circleMarker(country.coords, {
+      radius: 6,
+      fillColor: scale.color(indicator.get(country.id)),
+      color: '#fff',
+      weight: 2,
+      opacity: 1,
+      fillOpacity: 0.9
+    }).addTo(map);
+    bindCountry(circle, country, { direction: 'top', offset: [0, -8] });
+    markers.push(circle);
   }
 
   function renderMarkers() {
     markers.forEach(m => map.removeLayer(m));
     markers = [];
-
-    const countries = Data.getAllCountries();
-    countries.forEach(country => {
-      const overall = Data.getOverallScore(country);
-      const color = getColor(overall);
-      const name = I18n.getCountryName(country);
-
-      const circle = L.circleMarker(country.coords, {
-        radius: 8,
-        fillColor: color,
-        color: '#fff',
-        weight: 2,
-        opacity: 1,
-        fillOpacity: 0.8
-      }).addTo(map);
-
-      // Hover tooltip: country name + score
-      circle.bindTooltip(`<strong>${name}</strong> — ${overall}/100`, {
-        direction: 'top',
-        offset: [0, -10],
-        className: 'country-tooltip'
-      });
-
-      // Click: navigate to country page
-      const isInIframe = window.parent !== window;
-      circle.on('click', () => {
-        const url = `country.html?id=${country.id}`;
-        if (isInIframe) {
-          window.open(url, '_blank');
-        } else {
-          window.location.href = url;
+    scale = Indicators.getScale(indicator, Data.getAllCountries().map(c => c.id));
+
+    const drawn = new Set();
+    const small = new Set();
+
+    if (boundaries) {
+      const choropleth = L.geoJSON(boundaries, {
+        filter: feature => !!Data.getCountry(feature.properties.id),
+        style: feature => ({
+          fillColor: scale.color(indicator.get(feature.properties.id)),
+          color: '#fff',
+          weight: 1,
+          opacity: 1,
+          fillOpacity: 0.85
+        }),
+        onEachFeature: (feature, layer) => {
+          const country = Data.getCountry(feature.properties.id);
+          bindCountry(layer, country, { sticky: true });
+          layer.on('mouseover', () => {
+            layer.setStyle({ weight: 2, color: '#333' });
+            layer.bringToFront();
+          });
+          layer.on('mouseout', () => choropleth.resetStyle(layer));
+
+          drawn.add(country.id);
+          const b = layer.getBounds();
+          if ((b.getEast() - b.getWest()) * (b.getNorth() - b.getSouth()) < SMALL_AREA) {
+            small.add(country.id);
+          }
         }
-      });
+      }).addTo(map);
+      markers.push(choropleth);
+    }
 
-      markers.push(circle);
+    Data.getAllCountries().forEach(country => {
+      if (drawn.has(country.id) && !small.has(country.id)) return;
+      addMarker(country);
     });
   }
 
   renderMarkers();
 
-  // Update legend text
+  // Legend is generated from the current indicator's scale
   function updateLegend() {
     const el = (id) => document.getElementById(id);
     const set = (id, key) => { const e = el(id); if (e) e.textContent = I18n.t(key); };
-    set('legend-title', 'map.legend.title');
-    set('legend-high', 'map.legend.high');
-    set('legend-above', 'map.legend.above_avg');
-    set('legend-avg', 'map.legend.average');
-    set('legend-below', 'map.legend.below_avg');
-    set('legend-low', 'map.legend.low');
+    const title = el('legend-title');
+    if (title) title.textContent = indicator.id === 'overall' ? I18n.t('map.legend.title') : Indicators.label(indicator);
+
+    const items = scale.legend.slice();
+    if (Data.getAllCountries().some(c => indicator.get(c.id) == null)) {
+      items.push({ color: Indicators.NO_DATA, label: I18n.t('indicator.no_data') });
+    }
+    const list = el('legend-items');
+    if (list) {
+      list.innerHTML = items.map(item => `
+        <div class="legend-item">
+            <div class="legend-color" style="background:${item.color};"></div>
+            <span>${item.label}</span>
+        </div>`).join('');
+    }
+    const note = el('legend-note');
+    if (note) {
+      note.textContent = indicator.scale === 'quantile' ? I18n.t('indicator.breaks.quantile')
+        : indicator.scale === 'linear' ? I18n.t('indicator.breaks.linear') : '';
+    }
+
+    set('layer-label', 'indicator.title');
     set('info-title', 'map.title');
     set('info-interactive', 'map.interactive');
     set('info-click', 'map.click_details');
     set('info-date', 'map.data_date');
+    set('map-offline', 'map.offline');
+  }
+
+  // Layer control: every indicator, grouped by data source
+  function renderLayerSelect() {
+    const select = document.getElementById('indicator-select');
+    if (!select) return;
+    select.innerHTML = Indicators.getGroups().map(group => `
+      <optgroup label="${I18n.t(group.label)}">
+        ${group.items.map(ind => `<option value="${ind.id}"${ind.id === indicator.id ? ' selected' : ''}>${Indicators.label(ind)}</option>`).join('')}
+      </optgroup>`).join('');
+  }
+
+  // Pillar weights only affect the overall score
+  function toggleWeights() {
+    const panel = document.getElementById('weights-panel');
+    if (panel) panel.style.display = indicator.id === 'overall' ? '' : 'none';
+  }
+
+  const indicatorSelect = document.getElementById('indicator-select');
+  if (indicatorSelect) {
+    indicatorSelect.addEventListener('change', () => {
+      indicator = Indicators.get(indicatorSelect.value) || Indicators.get('overall');
+      const query = new URLSearchParams(window.location.search);
+      if (indicator.id === 'overall') query.delete('layer'); else query.set('layer', indicator.id);
+      // Keep the ?w= colons readable
+      const qs = query.toString().replace(/%3A/g, ':').replace(/%2C/g, ',');
+      history.replaceState(null, '', window.location.pathname + (qs ? '?' + qs : '') + window.location.hash);
+      renderMarkers();
+      updateLegend();
+      toggleWeights();
+    });
   }
 
+  renderLayerSelect();
+  toggleWeights();
   updateLegend();
+  updateOffline();
+  Weights.renderPanel(document.getElementById('weights-panel'));
 
   // Listen for language change from parent
+  // From the embedding page only; its language applies to this frame only (as ?lang)
   window.addEventListener('message', async (e) => {
+    if (e.source !== window.parent || e.source === window) return;
     if (e.data && e.data.type === 'gpb-lang') {
-      await I18n.setLang(e.data.lang);
+      await I18n.setLang(e.data.lang, { save: false });
       renderMarkers();
+      renderLayerSelect();
       updateLegend();
+    } else if (e.data && e.data.type === 'gpb-currency') {
+      Currency.setChoice(e.data.currency);
     }
   });
 
   // Also listen for direct language change (when map is standalone)
   document.addEventListener('gpb-lang-change', () => {
+    renderMarkers();
+    renderLayerSelect();
+    updateLegend();
+    Weights.renderPanel(document.getElementById('weights-panel'));
+  });
+
+  // Money indicators follow the site's currency choice
+  document.addEventListener('gpb-currency-change', () => {
+    renderMarkers();
+    updateLegend();
+  });
+
+  // Recolour the map when pillar weights change
+  document.addEventListener('gpb-weights-change', () => {
     renderMarkers();
     updateLegend();
+    Weights.renderPanel(document.getElementById('weights-panel'));
   });
 })();
@@ -0,0 +1,21 @@
+/**
+ * pwa.js - Registers the service worker (sw.js) so the site works offline
+ * and tells it which language file to keep cached.
+ */
+(() => {
+  if (!('serviceWorker' in navigator)) return;
+
+  function cacheLang(lang) {
+    navigator.serviceWorker.ready.then(reg => {
+      if (reg.active) reg.active.postMessage({ type: 'gpb-cache-lang', lang });
+    });
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js').then(() => {
+      cacheLang(I18n.getLang());
+    }).catch(e => console.warn('Service worker not registered:', e));
+  });
+
+  document.addEventListener('gpb-lang-change', e => cacheLang(e.detail.lang));
+})();
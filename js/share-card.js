@@ -0,0 +1,206 @@
+/**
+ * share-card.js - Shareable 1200×630 images drawn in the browser
+ * Cards are built as SVG strings (country score card, compare radar, quiz
+ * result) and rasterised to PNG through a canvas, so nothing leaves the
+ * page until the visitor downloads or shares. Only inline shapes and system
+ * fonts are used: an SVG drawn into a canvas cannot load images or web fonts.
+ * On phones the PNG is handed to the Web Share API as a file.
+ */
+const ShareCard = (() => {
+  const W = 1200;
+  const H = 630;
+  const FONT = "'Helvetica Neue', Arial, sans-serif";
+  const SCORE_COLORS = { high: '#006d2c', above_avg: '#31a354', average: '#74c476', below_avg: '#bae4b3', low: '#edf8e9' };
+  const SITE = 'world-bar.github.io';
+
+  function _esc(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function _clip(str, max) {
+    return str.length > max ? str.slice(0, max - 1) + '…' : str;
+  }
+
+  function _text(x, y, str, size, attrs = '') {
+    return `<text x="${x}" y="${y}" font-size="${size}" ${attrs}>${_esc(str)}</text>`;
+  }
+
+  // Blue gradient, globe mark and site name on top, link to the page at the bottom
+  function _frame(body, path) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" font-family="${FONT}">
+  <defs><linearGradient id="bg" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="#005a87"/><stop offset="1" stop-color="#009edb"/></linearGradient></defs>
+  <rect width="${W}" height="${H}" fill="url(#bg)"/>
+  <g fill="none" stroke="#fff" stroke-width="2.5">
+    <circle cx="80" cy="64" r="22"/><ellipse cx="80" cy="64" rx="8" ry="22"/><ellipse cx="80" cy="64" rx="15" ry="22"/><line x1="58" y1="64" x2="102" y2="64"/>
+  </g>
+  ${_text(116, 75, 'World Barometer', 30, 'fill="#fff" font-weight="700"')}
+  ${body}
+  ${_text(60, 598, SITE + '/' + path, 20, 'fill="#c8d7e1"')}
+</svg>`;
+  }
+
+  /**
+   * country: a countries.json record; shape: optional SVG path on a 50×50
+   * grid (_countryShapes of country-shapes.js)
+   */
+  function countrySvg(country, shape) {
+    const name = I18n.getCountryName(country);
+    const overall = Data.getOverallScore(country);
+    const ranking = Data.getRanking('overall');
+    const rank = ranking.findIndex(r => r.id === country.id) + 1;
+    const label = Data.getScoreLabel(overall);
+
+    const rows = Data.getPillars().map((p, i) => {
+      const score = country.scores[p.id] || 0;
+      const y = 150 + i * 35;
+      return `
+    ${_text(630, y + 6, _clip(`${p.icon} ${I18n.t(p.name_key)}`, 26), 18, 'fill="#1a1a2e"')}
+    <rect x="900" y="${y - 8}" width="200" height="14" rx="7" fill="#e3e8ec"/>
+    <rect x="900" y="${y - 8}" width="${score * 2}" height="14" rx="7" fill="${SCORE_COLORS[Data.getScoreLabel(score)]}"/>
+    ${_text(1140, y + 6, score, 18, 'fill="#1a1a2e" font-weight="700" text-anchor="end"')}`;
+    }).join('');
+
+    const body = `
+  ${shape ? `<path d="${shape}" transform="translate(380 330) scale(4)" fill="#fff" opacity="0.18"/>` : ''}
+  ${_text(60, 200, _clip(name, 24), name.length > 14 ? 44 : 60, 'fill="#fff" font-weight="700"')}
+  ${_text(60, 250, I18n.t('country.overall'), 24, 'fill="#c8d7e1"')}
+  <text x="60" y="370" fill="#fff" font-weight="700"><tspan font-size="120">${overall}</tspan><tspan font-size="40" fill="#c8d7e1">/100</tspan></text>
+  ${_text(60, 430, `${I18n.t('score.' + label)} · ${I18n.t('country.rank')} #${rank} / ${ranking.length}`, 28, 'fill="#fff"')}
+  <rect x="600" y="110" width="560" height="450" rx="16" fill="#fff"/>
+  ${rows}`;
+    return _frame(body, 'country/' + country.id + '.html');
+  }
+
+  /**
+   * entries: [{ name, scores, color, dashed }] as on the compare page
+   */
+  function compareSvg(entries, path) {
+    const pillars = Data.getPillars();
+    const cx = 400;
+    const cy = 340;
+    const r = 200;
+    const point = (i, value) => {
+      const a = -Math.PI / 2 + i * 2 * Math.PI / pillars.length;
+      return [cx + Math.cos(a) * r * value / 100, cy + Math.sin(a) * r * value / 100];
+    };
+    const polygon = value => pillars.map((p, i) => point(i, value).map(v => v.toFixed(1)).join(',')).join(' ');
+
+    const grid = [20, 40, 60, 80, 100].map(v => `<polygon points="${polygon(v)}" fill="none" stroke="#fff" stroke-opacity="0.3"/>`).join('')
+      + pillars.map((p, i) => {
+        const [x, y] = point(i, 100);
+        const [lx, ly] = point(i, 118);
+        return `<line x1="${cx}" y1="${cy}" x2="${x.toFixed(1)}" y2="${y.toFixed(1)}" stroke="#fff" stroke-opacity="0.3"/>`
+          + _text(lx.toFixed(1), (ly + 9).toFixed(1), p.icon, 24, 'text-anchor="middle"');
+      }).join('');
+
+    const shapes = entries.map(e => `<polygon points="${pillars.map((p, i) => point(i, e.scores[p.id] || 0).map(v => v.toFixed(1)).join(',')).join(' ')}" fill="${e.color}" fill-opacity="${entries.length > 4 ? 0.08 : 0.18}" stroke="${e.color}" stroke-width="3"${e.dashed ? ' stroke-dasharray="10 6"' : ''}/>`).join('');
+
+    const legend = entries.map((e, i) => {
+      const y = 150 + i * (entries.length > 6 ? 38 : 52);
+      return `<rect x="720" y="${y - 16}" width="20" height="20" rx="4" fill="${e.color}"/>`
+        + _text(752, y + 1, _clip(e.name, 26), 24, 'fill="#fff"')
+        + _text(1140, y + 1, Data.getOverallScore({ scores: e.scores }), 24, 'fill="#fff" font-weight="700" text-anchor="end"');
+    }).join('');
+
+    const body = `
+  <rect x="700" y="110" width="460" height="${Math.min(450, 40 + entries.length * (entries.length > 6 ? 38 : 52))}" rx="16" fill="#000" fill-opacity="0.15"/>
+  ${grid}
+  ${shapes}
+  ${legend}`;
+    return _frame(body, path);
+  }
+
+  function quizSvg(score, total, emoji, rating) {
+    const body = `
+  ${_text(600, 200, I18n.t('quiz.results_title'), 40, 'fill="#c8d7e1" text-anchor="middle"')}
+  <text x="600" y="370" text-anchor="middle" fill="#fff" font-weight="700"><tspan font-size="160">${score}</tspan><tspan font-size="64" fill="#c8d7e1">/${total}</tspan></text>
+  ${_text(600, 460, `${emoji} ${rating}`, 40, 'fill="#fff" text-anchor="middle"')}
+  ${_text(600, 520, I18n.t('quiz.share_card_cta'), 26, 'fill="#c8d7e1" text-anchor="middle"')}`;
+    return _frame(body, 'quiz.html');
+  }
+
+  function toPng(svg) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = W;
+        canvas.height = H;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+      };
+      img.onerror = () => reject(new Error('SVG could not be drawn'));
+      img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    });
+  }
+
+  function _save(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Browsers that can share files (mostly mobile); elsewhere the button is hidden
+  function _canShareFiles() {
+    if (!navigator.canShare || typeof File === 'undefined') return false;
+    try {
+      return navigator.canShare({ files: [new File([''], 'card.png', { type: 'image/png' })] });
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function toolbarHtml() {
+    return `
+      <div class="share-card">
+        <span class="share-card-label">${I18n.t('share_card.label')}</span>
+        <button type="button" class="share-card-btn" data-action="png">${I18n.t('share_card.png')}</button>
+        <button type="button" class="share-card-btn" data-action="svg">${I18n.t('share_card.svg')}</button>
+        ${_canShareFiles() ? `<button type="button" class="share-card-btn share-card-share" data-action="share">${I18n.t('share_card.share')}</button>` : ''}
+        <button type="button" class="share-card-btn share-card-preview-btn" data-action="preview" aria-expanded="false">${I18n.t('share_card.preview')}</button>
+        <img class="share-card-preview" alt="" hidden>
+      </div>`;
+  }
+
+  /**
+   * Wire the toolbar(s) in container. makeSvg() is called on every click so
+   * the card follows the current language, weights and selection.
+   */
+  function bind(container, makeSvg, name, shareText, shareUrl) {
+    if (!container) return;
+    container.querySelectorAll('.share-card').forEach(bar => {
+      const preview = bar.querySelector('.share-card-preview');
+      const filename = `world-barometer-${name}-${I18n.getLang()}`;
+      bar.querySelectorAll('.share-card-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const svg = makeSvg();
+          const action = btn.dataset.action;
+          try {
+            if (action === 'svg') {
+              _save(new Blob([svg], { type: 'image/svg+xml' }), filename + '.svg');
+            } else if (action === 'png') {
+              _save(await toPng(svg), filename + '.png');
+            } else if (action === 'share') {
+              const file = new File([await toPng(svg)], filename + '.png', { type: 'image/png' });
+              await navigator.share({ files: [file], text: shareText, url: shareUrl });
+            } else if (action === 'preview') {
+              preview.hidden = !preview.hidden;
+              btn.setAttribute('aria-expanded', String(!preview.hidden));
+              if (!preview.hidden) preview.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+            }
+          } catch (e) {
+            // Share sheet dismissed (AbortError) or the image could not be drawn
+            if (e.name !== 'AbortError') console.warn('Share card:', e.message);
+          }
+        });
+      });
+    });
+  }
+
+  return { countrySvg, compareSvg, quizSvg, toPng, toolbarHtml, bind };
+})();
@@ -0,0 +1,233 @@
+/**
+ * table.js - Shared sortable / filterable table for the ranking pages
+ * Click a header to sort, filter by country name and by numeric ranges.
+ * State lives in the query string (?sort=-exports&q=nor&range=exports:100:500)
+ * so a sorted, filtered view can be shared with a link.
+ */
+const DataTable = (() => {
+  let _rangesOpen = false;
+
+  const _esc = s => String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+  function _parseNum(str) {
+    if (str == null || str === '') return null;
+    const n = parseFloat(str);
+    return isNaN(n) ? null : n;
+  }
+
+  // "exports:100:500,inflation::5" -> { exports: { min: 100, max: 500 }, inflation: { min: null, max: 5 } }
+  function _readState(opts) {
+    const params = new URLSearchParams(window.location.search);
+    const sortParam = params.get('sort') || '';
+    let key = sortParam.replace(/^-/, '');
+    let dir = sortParam.startsWith('-') ? 'desc' : 'asc';
+    if (!opts.columns.some(c => c.key === key && c.sortable !== false)) {
+      key = opts.defaultSort.key;
+      dir = opts.defaultSort.dir;
+    }
+
+    const ranges = {};
+    (params.get('range') || '').split(',').forEach(part => {
+      const [k, min, max] = part.split(':');
+      const col = opts.columns.find(c => c.key === k && c.numeric && c.filter !== false);
+      if (!col) return;
+      const range = { min: _parseNum(min), max: _parseNum(max) };
+      if (range.min != null || range.max != null) ranges[k] = range;
+    });
+
+    return { sort: key, dir, q: params.get('q') || '', ranges };
+  }
+
+  function _writeState(state, opts) {
+    const params = new URLSearchParams(window.location.search);
+    const isDefault = state.sort === opts.defaultSort.key && state.dir === opts.defaultSort.dir;
+    if (isDefault) params.delete('sort');
+    else params.set('sort', (state.dir === 'desc' ? '-' : '') + state.sort);
+
+    if (state.q) params.set('q', state.q);
+    else params.delete('q');
+
+    const range = Object.keys(state.ranges).map(k => {
+      const r = state.ranges[k];
+      return `${k}:${r.min != null ? r.min : ''}:${r.max != null ? r.max : ''}`;
+    }).join(',');
+    if (range) params.set('range', range);
+    else params.delete('range');
+
+    // Keep ":" and "," readable, as in ?w=
+    const query = params.toString().replace(/%3A/g, ':').replace(/%2C/g, ',');
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+  }
+
+  function _visibleRows(opts, state) {
+    const lang = I18n.getLang();
+    const q = state.q.trim().toLocaleLowerCase(lang);
+    const nameCol = opts.columns.find(c => c.filter === 'text');
+
+    const rows = opts.rows.filter(row => {
+      if (q && nameCol && !String(nameCol.value(row)).toLocaleLowerCase(lang).includes(q)) return false;
+      return Object.keys(state.ranges).every(k => {
+        const col = opts.columns.find(c => c.key === k);
+        const v = col.value(row);
+        const r = state.ranges[k];
+        if (v == null) return false;
+        return (r.min == null || v >= r.min) && (r.max == null || v <= r.max);
+      });
+    });
+
+    const col = opts.columns.find(c => c.key === state.sort);
+    const sign = state.dir === 'desc' ? -1 : 1;
+    return rows.sort((a, b) => {
+      const va = col.value(a);
+      const vb = col.value(b);
+      // Missing values always go last
+      if (va == null && vb == null) return 0;
+      if (va == null) return 1;
+      if (vb == null) return -1;
+      if (col.numeric) return (va - vb) * sign;
+      return String(va).localeCompare(String(vb), lang) * sign;
+    });
+  }
+
+  function _rowHtml(row, columns) {
+    return `<tr>${columns.map(c => {
+      const attrs = [];
+      if (c.cls) attrs.push(`class="${c.cls}"`);
+      if (c.numeric) {
+        const v = c.value(row);
+        attrs.push(`data-value="${v != null ? v : ''}"`);
+      }
+      if (c.attrs) attrs.push(c.attrs(row));
+      return `<td${attrs.length ? ' ' + attrs.join(' ') : ''}>${c.html ? c.html(row) : _esc(c.value(row) != null ? c.value(row) : '—')}</td>`;
+    }).join('')}</tr>`;
+  }
+
+  function _headerHtml(col, state) {
+    const unit = col.unit ? ` data-unit="${_esc(col.unit)}"` : '';
+    if (col.sortable === false) return `<th${unit}>${col.label}</th>`;
+    const sorted = col.key === state.sort;
+    const aria = sorted ? (state.dir === 'asc' ? 'ascending' : 'descending') : 'none';
+    const cls = 'sortable' + (sorted ? ` sorted-${state.dir}` : '');
+    return `<th class="${cls}" data-key="${col.key}" aria-sort="${aria}" tabindex="0"${unit}>${col.label}</th>`;
+  }
+
+  /**
+   * Render a table into `container`.
+   * opts: {
+   *   columns: [{ key, label, value(row), html?(row), numeric?, unit?, cls?, attrs?(row),
+   *               sortable?, filter? ('text' | false), defaultDir? }],
+   *   rows: [...], defaultSort: { key, dir }, exportName?, tableClass?
+   * }
+   */
+  function render(container, opts) {
+    if (!container) return;
+    const state = _readState(opts);
+    const rangeCols = opts.columns.filter(c => c.numeric && c.filter !== false);
+    const hasText = opts.columns.some(c => c.filter === 'text');
+
+    const rangeInputs = rangeCols.map(c => {
+      const values = opts.rows.map(c.value).filter(v => v != null);
+      const r = state.ranges[c.key] || {};
+      const bound = (name, value, hint) =>
+        `<input type="number" step="any" data-key="${c.key}" data-bound="${name}" value="${value != null ? value : ''}" placeholder="${hint}">`;
+      return `
+        <div class="data-table-range">
+          <span class="data-table-range-label">${c.label}${c.unit && !c.label.includes(c.unit) ? ` (${_esc(c.unit)})` : ''}</span>
+          ${bound('min', r.min, values.length ? Math.min(...values) : I18n.t('table.min'))}
+          <span>–</span>
+          ${bound('max', r.max, values.length ? Math.max(...values) : I18n.t('table.max'))}
+        </div>`;
+    }).join('');
+
+    const exportBar = opts.exportName && typeof TableExport !== 'undefined' ? TableExport.toolbarHtml(opts.exportName) : '';
+
+    container.innerHTML = `
+      <div class="data-table-controls">
+        ${hasText ? `<input type="search" class="data-table-search" value="${_esc(state.q)}" placeholder="${I18n.t('table.filter_name')}" aria-label="${I18n.t('table.filter_name')}">` : ''}
+        ${rangeCols.length ? `
+        <details class="data-table-ranges"${_rangesOpen || Object.keys(state.ranges).length ? ' open' : ''}>
+          <summary>${I18n.t('table.ranges')}</summary>
+          <div class="data-table-range-grid">${rangeInputs}</div>
+        </details>` : ''}
+        <button type="button" class="data-table-reset">${I18n.t('table.reset')}</button>
+        <span class="data-table-count"></span>
+      </div>
+      ${exportBar}
+      <div class="table-wrap"><table class="${opts.tableClass || 'ranking-table'} data-table">
+        <thead><tr></tr></thead>
+        <tbody></tbody>
+      </table></div>`;
+
+    const headRow = container.querySelector('thead tr');
+    const tbody = container.querySelector('tbody');
+    const count = container.querySelector('.data-table-count');
+    const reset = container.querySelector('.data-table-reset');
+
+    function update() {
+      const rows = _visibleRows(opts, state);
+      headRow.innerHTML = opts.columns.map(c => _headerHtml(c, state)).join('');
+      tbody.innerHTML = rows.map(r => _rowHtml(r, opts.columns)).join('');
+      count.textContent = I18n.tf('table.count', rows.length, opts.rows.length);
+      reset.hidden = !state.q && !Object.keys(state.ranges).length;
+      _writeState(state, opts);
+    }
+
+    function sortBy(key) {
+      const col = opts.columns.find(c => c.key === key);
+      if (state.sort === key) {
+        state.dir = state.dir === 'asc' ? 'desc' : 'asc';
+      } else {
+        state.sort = key;
+        state.dir = col.defaultDir || (col.numeric ? 'desc' : 'asc');
+      }
+      update();
+    }
+
+    headRow.addEventListener('click', e => {
+      const th = e.target.closest('th.sortable');
+      if (th) sortBy(th.dataset.key);
+    });
+    headRow.addEventListener('keydown', e => {
+      const th = e.target.closest('th.sortable');
+      if (th && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        sortBy(th.dataset.key);
+      }
+    });
+
+    const search = container.querySelector('.data-table-search');
+    if (search) {
+      search.addEventListener('input', () => {
+        state.q = search.value;
+        update();
+      });
+    }
+
+    container.querySelectorAll('.data-table-range input').forEach(input => {
+      input.addEventListener('input', () => {
+        const key = input.dataset.key;
+        const r = Object.assign({ min: null, max: null }, state.ranges[key]);
+        r[input.dataset.bound] = _parseNum(input.value);
+        if (r.min == null && r.max == null) delete state.ranges[key];
+        else state.ranges[key] = r;
+        update();
+      });
+    });
+
+    const details = container.querySelector('.data-table-ranges');
+    if (details) details.addEventListener('toggle', () => { _rangesOpen = details.open; });
+
+    reset.addEventListener('click', () => {
+      state.q = '';
+      state.ranges = {};
+      if (search) search.value = '';
+      container.querySelectorAll('.data-table-range input').forEach(i => { i.value = ''; });
+      update();
+    });
+
+    update();
+    if (typeof TableExport !== 'undefined') TableExport.bind(container);
+  }
+
+  return { render };
+})();
@@ -0,0 +1,101 @@
+/**
+ * weights.js - User-defined pillar weights for the overall score
+ * Keeps weights in the ?w= query parameter so a custom index can be shared
+ */
+const Weights = (() => {
+  const MAX = 3;
+  const STEP = 0.5;
+  let _open = false;
+
+  function init() {
+    const params = new URLSearchParams(window.location.search);
+    Data.setWeights(_parse(params.get('w') || ''));
+  }
+
+  // "governance:2,health:0.5" -> { governance: 2, health: 0.5 }
+  function _parse(str) {
+    const weights = {};
+    str.split(',').forEach(part => {
+      const [pid, val] = part.split(':');
+      const w = parseFloat(val);
+      if (pid && Data.getPillar(pid) && !isNaN(w) && w >= 0 && w <= MAX && w !== 1) {
+        weights[pid] = w;
+      }
+    });
+    return weights;
+  }
+
+  function _serialize(weights) {
+    return Object.keys(weights)
+      .filter(pid => weights[pid] !== 1)
+      .map(pid => `${pid}:${weights[pid]}`)
+      .join(',');
+  }
+
+  function isCustom() {
+    return Object.keys(Data.getWeights()).length > 0;
+  }
+
+  // Append the current weights to an internal link
+  function link(url) {
+    const w = _serialize(Data.getWeights());
+    if (!w) return url;
+    return url + (url.includes('?') ? '&' : '?') + 'w=' + w;
+  }
+
+  function _update(weights) {
+    Data.setWeights(weights);
+    const params = new URLSearchParams(window.location.search);
+    params.delete('w');
+    let query = params.toString();
+    const w = _serialize(weights);
+    if (w) query += (query ? '&' : '') + 'w=' + w;
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+    document.dispatchEvent(new CustomEvent('gpb-weights-change', { detail: { weights: Data.getWeights() } }));
+  }
+
+  function renderPanel(container) {
+    if (!container) return;
+    const weights = Data.getWeights();
+    const pillars = Data.getPillars();
+
+    const rows = pillars.map(p => {
+      const w = weights[p.id] != null ? weights[p.id] : 1;
+      return `
+        <label class="weight-row">
+          <span class="weight-name">${p.icon} ${I18n.t(p.name_key)}</span>
+          <input type="range" min="0" max="${MAX}" step="${STEP}" value="${w}" data-pillar="${p.id}">
+          <output class="weight-value">${w}&times;</output>
+        </label>`;
+    }).join('');
+
+    container.innerHTML = `
+      <details class="weights-panel"${_open ? ' open' : ''}>
+        <summary>&#9878;&#65039; ${I18n.t('weights.title')}${isCustom() ? ` <span class="weights-badge">${I18n.t('weights.custom')}</span>` : ''}</summary>
+        <p class="weights-intro">${I18n.t('weights.intro')}</p>
+        <div class="weights-grid">${rows}</div>
+        <button type="button" class="weights-reset"${isCustom() ? '' : ' disabled'}>${I18n.t('weights.reset')}</button>
+      </details>`;
+
+    const details = container.querySelector('details');
+    details.addEventListener('toggle', () => { _open = details.open; });
+
+    container.querySelectorAll('input[type="range"]').forEach(input => {
+      input.addEventListener('input', () => {
+        input.nextElementSibling.innerHTML = `${input.value}&times;`;
+      });
+      input.addEventListener('change', () => {
+        const next = {};
+        container.querySelectorAll('input[type="range"]').forEach(i => {
+          const w = parseFloat(i.value);
+          if (w !== 1) next[i.dataset.pillar] = w;
+        });
+        _update(next);
+      });
+    });
+
+    container.querySelector('.weights-reset').addEventListener('click', () => _update({}));
+  }
+
+  return { init, isCustom, link, renderPanel };
+})();
@@ -0,0 +1,275 @@
+#!/usr/bin/env python3
+"""Build the public read-only JSON API under api/v1/ from data/*.json.
+
+The files in data/ are internal: their shapes change whenever the site needs
+it. The API is the stable contract for everyone else. Every field published
+here is listed explicitly below, so a restructured data file only needs a
+new mapping in this script, never a change for API consumers.
+
+Versioning: additive changes (new fields, new endpoints) bump API_VERSION's
+minor number; anything that renames or removes a field goes to api/v2/.
+
+Layout:
+    api/v1/index.json                 version, release, endpoint list
+    api/v1/countries.json             every country with its overall score
+    api/v1/countries/<id>.json        one country: scores, ranks, economics, ...
+    api/v1/pillars.json               pillar definitions with translated names
+    api/v1/rankings/<pillar>.json     ranking for "overall" or one pillar
+    api/v1/schema.json                JSON Schema of all documents (hand-written)
+
+Usage:
+    python3 scripts/build_api.py            # dry-run (default)
+    python3 scripts/build_api.py --apply    # write api/v1/
+"""
+
+import argparse
+import json
+import math
+import sys
+from datetime import datetime, timezone
+from pathlib import Path
+
+ROOT = Path(__file__).resolve().parent.parent
+DATA_DIR = ROOT / "data"
+API_DIR = ROOT / "api" / "v1"
+BASE_PATH = "api/v1"
+
+API_VERSION = "1.0"
+
+# API field -> key in the source record
+ECONOMICS_FIELDS = {
+    "gdp": "gdp",
+    "gdp_per_capita": "gdp_per_capita",
+    "gni_per_capita": "gni_per_capita",
+    "public_debt_pct": "public_debt_pct",
+    "revenue_pct_gdp": "revenue_pct_gdp",
+    "expense_pct_gdp": "expense_pct_gdp",
+    "unemployment": "unemployment",
+    "inflation": "inflation",
+    "exports": "exports",
+    "imports": "imports",
+    "trade_balance": "trade_balance",
+    "exports_pct_gdp": "exports_pct_gdp",
+    "top_exports": "top_exports",
+    "revenue_breakdown": "revenue",
+    "expenditure_breakdown": "expenditure",
+    "currency_code": "currency_code",
+    "currency_name": "currency_name",
+    "currency_symbol": "currency_symbol",
+    "usd_exchange": "usd_exchange",
+}
+
+DEMOGRAPHICS_FIELDS = {
+    "population": "population",
+    "population_growth": "population_growth",
+    "population_density": "population_density",
+    "median_age": "median_age",
+    "age_0_14": "age_0_14",
+    "age_15_64": "age_15_64",
+    "age_65_plus": "age_65_plus",
+    "urban_pct": "urban_pct",
+    "rural_pct": "rural_pct",
+    "life_exp_total": "life_exp_total",
+    "life_exp_male": "life_exp_male",
+    "life_exp_female": "life_exp_female",
+    "literacy_rate": "literacy_rate",
+    "fertility_rate": "fertility_rate",
+    "infant_mortality": "infant_mortality",
+}
+
+POLITICS_FIELDS = {
+    "system": "system",
+    "regime": "regime",
+    "democracy_score": "democracy_score",
+    "happiness_score": "happiness_score",
+    "conflict_status": "conflict_status",
+    "corruption_rank": "corruption_rank",
+    "press_freedom_rank": "press_freedom_rank",
+    "rule_of_law": "rule_of_law",
+}
+
+
+def load(name):
+    path = DATA_DIR / name
+    if not path.exists():
+        return None
+    with open(path, "r", encoding="utf-8") as f:
+        return json.load(f)
+
+
+def js_round(x):
+    """Math.round() semantics, so scores match the site (Python rounds half to even)."""
+    return math.floor(x + 0.5)
+
+
+def overall_score(scores):
+    # Equal pillar weights, as Data.getOverallScore() without ?w=
+    return js_round(sum(scores.values()) / len(scores)) if scores else 0
+
+
+def pick(record, fields):
+    if not record:
+        return None
+    return {api: record[src] for api, src in fields.items() if record.get(src) is not None}
+
+
+def ranking(countries, pillar_id):
+    """Same order as Data.getRanking(): score descending, ties in file order."""
+    def score(c):
+        return overall_score(c["scores"]) if pillar_id == "overall" else c["scores"].get(pillar_id, 0)
+    ordered = sorted(countries, key=lambda c: -score(c))
+    return [
+        {"rank": i + 1, "id": c["id"], "name": c["name"], "score": score(c)}
+        for i, c in enumerate(ordered)
+    ]
+
+
+def pillar_names(pillars, languages):
+    """Translated pillar names per language, English when a language lacks one."""
+    strings = {lang: load(f"lang/{lang}.json") or {} for lang in languages}
+    english = strings.get("en", {})
+    names = {}
+    for p in pillars:
+        key = p["name_key"]
+        names[p["id"]] = {
+            lang: strings[lang].get(key) or english.get(key) or p["id"] for lang in languages
+        }
+    return names
+
+
+def build(generated_at):
+    """Return {relative path: document} for the whole API tree."""
+    countries = load("countries.json")
+    pillars = load("pillars.json")
+    economics = load("economics.json") or {}
+    demographics = load("demographics.json") or {}
+    politics = load("politics.json") or {}
+    history = load("history.json") or {"releases": []}
+    languages = load("lang/index.json") or ["en"]
+
+    releases = sorted(history.get("releases", []), key=lambda r: r["date"])
+    latest = {"id": releases[-1]["id"], "date": releases[-1]["date"]} if releases else None
+    meta = {"version": API_VERSION, "generated_at": generated_at, "release": latest}
+
+    pillar_ids = [p["id"] for p in pillars]
+    rankings = {pid: ranking(countries, pid) for pid in ["overall"] + pillar_ids}
+    ranks = {
+        pid: {entry["id"]: entry["rank"] for entry in entries} for pid, entries in rankings.items()
+    }
+    names = pillar_names(pillars, languages)
+
+    docs = {}
+
+    docs["index.json"] = dict(meta, **{
+        "languages": languages,
+        "endpoints": {
+            "countries": f"{BASE_PATH}/countries.json",
+            "country": f"{BASE_PATH}/countries/{{id}}.json",
+            "pillars": f"{BASE_PATH}/pillars.json",
+            "ranking": f"{BASE_PATH}/rankings/{{pillar}}.json",
+            "schema": f"{BASE_PATH}/schema.json",
+        },
+        "rankings": ["overall"] + pillar_ids,
+        "country_count": len(countries),
+    })
+
+    docs["countries.json"] = dict(meta, countries=[
+        {
+            "id": c["id"],
+            "name": c["name"],
+            "continent": c.get("continent"),
+            "region": c.get("region"),
+            "income": c.get("income"),
+            "overall": {"score": overall_score(c["scores"]), "rank": ranks["overall"][c["id"]]},
+            "url": f"{BASE_PATH}/countries/{c['id']}.json",
+        }
+        for c in countries
+    ])
+
+    for c in countries:
+        cid = c["id"]
+        lat, lon = c.get("coords") or [None, None]
+        docs[f"countries/{cid}.json"] = dict(meta, **{
+            "id": cid,
+            "name": c["name"],
+            "continent": c.get("continent"),
+            "region": c.get("region"),
+            "income": c.get("income"),
+            "coords": {"lat": lat, "lon": lon},
+            "flag_url": c.get("image"),
+            "overall": {"score": overall_score(c["scores"]), "rank": ranks["overall"][cid]},
+            "pillars": {
+                pid: {"score": c["scores"].get(pid), "rank": ranks[pid][cid]}
+                for pid in pillar_ids if c["scores"].get(pid) is not None
+            },
+            "economics": pick(economics.get(cid), ECONOMICS_FIELDS),
+            "demographics": pick(demographics.get(cid), DEMOGRAPHICS_FIELDS),
+            "politics": pick(politics.get(cid), POLITICS_FIELDS),
+            "history": [
+                {"release": r["id"], "date": r["date"], "overall": overall_score(r["scores"][cid]),
+                 "pillars": r["scores"][cid]}
+                for r in releases if cid in r.get("scores", {})
+            ],
+        })
+
+    docs["pillars.json"] = dict(meta, pillars=[
+        {
+            "id": p["id"],
+            "name": names[p["id"]],
+            "icon": p.get("icon"),
+            "color": p.get("color"),
+            "sources": p.get("sources", []),
+            "ranking_url": f"{BASE_PATH}/rankings/{p['id']}.json",
+        }
+        for p in pillars
+    ])
+
+    for pid, entries in rankings.items():
+        docs[f"rankings/{pid}.json"] = dict(meta, pillar=pid, ranking=entries)
+
+    return docs
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Build the static JSON API in api/v1/.")
+    parser.add_argument(
+        "--apply",
+        action="store_true",
+        help="Write api/v1/ (default is dry-run).",
+    )
+    args = parser.parse_args()
+
+    mode = "APPLY" if args.apply else "DRY-RUN"
+    generated_at = datetime.now(timezone.utc).strftime("%Y-%m-%dT%H:%M:%SZ")
+    docs = build(generated_at)
+
+    existing = {
+        p.relative_to(API_DIR).as_posix()
+        for p in API_DIR.rglob("*.json") if p.name != "schema.json"
+    } if API_DIR.exists() else set()
+    stale = sorted(existing - set(docs))
+
+    print(f"[{mode}] API v{API_VERSION}: {len(docs)} documents "
+          f"({sum(1 for p in docs if p.startswith('countries/'))} countries, "
+          f"{sum(1 for p in docs if p.startswith('rankings/'))} rankings)")
+    for path in stale:
+        print(f"  - {path} (no longer in data, removed)")
+
+    if args.apply:
+        for path, doc in docs.items():
+            out = API_DIR / path
+            out.parent.mkdir(parents=True, exist_ok=True)
+            with open(out, "w", encoding="utf-8") as f:
+                json.dump(doc, f, indent=2, ensure_ascii=False)
+                f.write("\n")
+        for path in stale:
+            (API_DIR / path).unlink()
+        print(f"  ✓ Written to {API_DIR}")
+    else:
+        print("  Dry-run complete. Re-run with --apply to write changes.")
+
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
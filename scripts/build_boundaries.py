@@ -0,0 +1,112 @@
+#!/usr/bin/env python3
+"""Build data/boundaries.geojson from world-atlas TopoJSON files.
+
+The map draws a choropleth from this file instead of a tile service, so it
+is bundled in the repo. Each feature carries only our country ID.
+
+Sources are tried in order: the first file that has a country wins. Use the
+coarse 110m file first and fall back to 50m for small states (Singapore,
+Malta, Bahrain, ...) that 110m leaves out.
+
+Usage:
+    npm pack world-atlas@2 && tar xzf world-atlas-*.tgz
+    python3 scripts/build_boundaries.py package/countries-110m.json package/countries-50m.json
+"""
+
+import argparse
+import json
+import sys
+from pathlib import Path
+
+_project_root = str(Path(__file__).resolve().parent.parent)
+if _project_root not in sys.path:
+    sys.path.insert(0, _project_root)
+
+from scripts.country_codes import COUNTRY_ID_TO_ISO_NUMERIC
+
+OUT_PATH = Path(__file__).resolve().parent.parent / "data" / "boundaries.geojson"
+PRECISION = 2  # decimal places (~1 km), plenty for a world choropleth
+
+
+def decode_arcs(topology):
+    """Decode delta-encoded, quantized arcs into absolute lon/lat lists."""
+    transform = topology.get("transform")
+    arcs = []
+    for arc in topology["arcs"]:
+        x = y = 0
+        points = []
+        for px, py in arc:
+            if transform:
+                x += px
+                y += py
+                sx, sy = transform["scale"]
+                tx, ty = transform["translate"]
+                points.append([x * sx + tx, y * sy + ty])
+            else:
+                points.append([px, py])
+        arcs.append(points)
+    return arcs
+
+
+def ring(arc_ids, arcs):
+    coords = []
+    for i in arc_ids:
+        points = arcs[i] if i >= 0 else list(reversed(arcs[~i]))
+        # Consecutive arcs share their join point
+        coords.extend(points[1:] if coords else points)
+    return [[round(x, PRECISION), round(y, PRECISION)] for x, y in coords]
+
+
+def geometry(geom, arcs):
+    if geom["type"] == "Polygon":
+        return {"type": "Polygon", "coordinates": [ring(r, arcs) for r in geom["arcs"]]}
+    if geom["type"] == "MultiPolygon":
+        return {
+            "type": "MultiPolygon",
+            "coordinates": [[ring(r, arcs) for r in poly] for poly in geom["arcs"]],
+        }
+    return None
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Build data/boundaries.geojson.")
+    parser.add_argument("sources", nargs="+", help="world-atlas countries-*.json files.")
+    args = parser.parse_args()
+
+    wanted = {num: cid for cid, num in COUNTRY_ID_TO_ISO_NUMERIC.items()}
+    features = {}
+
+    for source in args.sources:
+        with open(source, "r", encoding="utf-8") as f:
+            topology = json.load(f)
+        arcs = decode_arcs(topology)
+        for geom in topology["objects"]["countries"]["geometries"]:
+            cid = wanted.get(geom.get("id"))
+            if cid is None or cid in features:
+                continue
+            shape = geometry(geom, arcs)
+            if shape:
+                features[cid] = {
+                    "type": "Feature",
+                    "properties": {"id": cid},
+                    "geometry": shape,
+                }
+        print(f"  {Path(source).name}: {len(features)} countries so far")
+
+    missing = sorted(set(wanted.values()) - set(features))
+    if missing:
+        print(f"  Missing (drawn as markers): {', '.join(missing)}")
+
+    collection = {
+        "type": "FeatureCollection",
+        "features": [features[cid] for cid in sorted(features)],
+    }
+    with open(OUT_PATH, "w", encoding="utf-8") as f:
+        json.dump(collection, f, separators=(",", ":"))
+        f.write("\n")
+    print(f"  ✓ Written {len(features)} features to {OUT_PATH}")
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * check_i18n.js - Translation coverage report for data/lang/*.json
+ *
+ * English (en.json) is the reference. For every other language it reports:
+ *   missing       keys in en.json the language does not have (English is shown instead)
+ *   orphaned      keys the language has but en.json does not (renamed or removed)
+ *   placeholders  strings whose {0}, {1}, ... differ from English (breaks _tpl())
+ *   same as en    values identical to English, often left untranslated
+ * and, once, keys in en.json that no page or script seems to use.
+ *
+ * "Unused" is a heuristic: a key counts as used when it appears as a string
+ * literal in the HTML pages, js/ or data/pillars.json, or starts with a
+ * literal prefix built into a key at runtime ('pol.regime.' + regime).
+ *
+ * Runs offline with plain Node (no dependencies). Exit code 1 when a
+ * placeholder mismatch is found (--strict: also for missing keys).
+ * To see the gaps on a rendered page, open it with ?i18n-debug=1.
+ *
+ * Usage:
+ *   node scripts/check_i18n.js               # summary for all languages
+ *   node scripts/check_i18n.js --lang de     # list every key de needs work on
+ *   node scripts/check_i18n.js --json        # full report as JSON
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const LANG_DIR = path.join(ROOT, 'data', 'lang');
+const REFERENCE = 'en';
+
+// Keys assembled in ways the scan cannot follow
+const DYNAMIC = [
+  /^pillar\.[a-z_]+\.long_desc$/  // pillar.desc_key.replace('.desc', '.long_desc') in renderPillar
+];
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Argument indexes a message uses: "{0}" and "{0, plural, ...}" both count as {0}
+function placeholders(str) {
+  const indexes = (String(str).match(/\{\s*\d+\s*[,}]/g) || []).map(m => `{${m.replace(/\D/g, '')}}`);
+  return Array.from(new Set(indexes)).sort().join(' ');
+}
+
+// Key literals and key prefixes found in the site's sources
+function scanUsage() {
+  const sources = fs.readdirSync(ROOT).filter(f => f.endsWith('.html')).map(f => path.join(ROOT, f))
+    .concat(fs.readdirSync(path.join(ROOT, 'js')).filter(f => f.endsWith('.js') && !f.endsWith('.min.js')).map(f => path.join(ROOT, 'js', f)))
+    .concat([path.join(ROOT, 'data', 'pillars.json')]);
+
+  const literals = new Set();
+  const prefixes = new Set();
+  sources.forEach(file => {
+    const text = fs.readFileSync(file, 'utf8');
+    for (const m of text.matchAll(/["'`]([a-z][a-z0-9_-]*(?:\.[a-z0-9_-]+)+)["'`]/g)) literals.add(m[1]);
+    // 'pol.regime.' + x   and   `pillar.${id}.desc`
+    for (const m of text.matchAll(/["'`]([a-z][a-z0-9_-]*(?:\.[a-z0-9_-]+)*\.)["'`]\s*\+/g)) prefixes.add(m[1]);
+    for (const m of text.matchAll(/`([a-z][a-z0-9_-]*(?:\.[a-z0-9_-]+)*\.)\$\{/g)) prefixes.add(m[1]);
+  });
+  return key => literals.has(key) || Array.from(prefixes).some(p => key.startsWith(p)) || DYNAMIC.some(re => re.test(key));
+}
+
+function report() {
+  const languages = readJson(path.join(LANG_DIR, 'index.json'));
+  const en = readJson(path.join(LANG_DIR, `${REFERENCE}.json`));
+  const enKeys = Object.keys(en);
+  const isUsed = scanUsage();
+
+  const result = {
+    reference: REFERENCE,
+    keys: enKeys.length,
+    unused: enKeys.filter(k => !isUsed(k)),
+    languages: {}
+  };
+
+  languages.filter(l => l !== REFERENCE).forEach(lang => {
+    const strings = readJson(path.join(LANG_DIR, `${lang}.json`));
+    const keys = Object.keys(strings);
+    result.languages[lang] = {
+      keys: keys.length,
+      coverage: Math.round(enKeys.filter(k => k in strings).length / enKeys.length * 1000) / 10,
+      missing: enKeys.filter(k => !(k in strings)),
+      orphaned: keys.filter(k => !(k in en)),
+      placeholders: keys.filter(k => k in en && placeholders(strings[k]) !== placeholders(en[k]))
+        .map(k => ({ key: k, expected: placeholders(en[k]) || '(none)', found: placeholders(strings[k]) || '(none)' })),
+      same_as_en: keys.filter(k => k in en && strings[k] === en[k] && /[a-z]{3}/i.test(en[k]))
+    };
+  });
+  return result;
+}
+
+function printSummary(r) {
+  const pad = (s, n) => String(s).padStart(n);
+  console.log(`Reference: ${r.reference}.json, ${r.keys} keys\n`);
+  console.log('  lang   keys  coverage  missing  orphaned  placeholders  same-as-en');
+  Object.keys(r.languages).forEach(lang => {
+    const l = r.languages[lang];
+    console.log(`  ${lang.padEnd(4)} ${pad(l.keys, 5)}  ${pad(l.coverage.toFixed(1) + '%', 8)}  ${pad(l.missing.length, 7)}  ${pad(l.orphaned.length, 8)}  ${pad(l.placeholders.length, 12)}  ${pad(l.same_as_en.length, 10)}`);
+  });
+  console.log(`\n  ${r.unused.length} key(s) in ${r.reference}.json look unused${r.unused.length ? ':' : '.'}`);
+  r.unused.forEach(k => console.log(`    ${k}`));
+  Object.keys(r.languages).forEach(lang => {
+    r.languages[lang].placeholders.forEach(p =>
+      console.log(`  ✗ ${lang}.json: ${p.key}: placeholders ${p.found}, expected ${p.expected}`));
+  });
+  console.log('\n  Details for one language: node scripts/check_i18n.js --lang <code>');
+}
+
+function printLanguage(r, lang) {
+  const l = r.languages[lang];
+  const section = (title, items, fmt) => {
+    console.log(`\n${title} (${items.length})`);
+    items.forEach(i => console.log(`  ${fmt ? fmt(i) : i}`));
+  };
+  console.log(`${lang}.json: ${l.keys} keys, ${l.coverage}% of ${r.reference}.json`);
+  section('Missing - shown in English until translated', l.missing);
+  section('Placeholder mismatches - fix these first', l.placeholders, p => `${p.key}: has ${p.found}, expected ${p.expected}`);
+  section('Orphaned - no longer in en.json, safe to delete', l.orphaned);
+  section('Same as English - check whether they need translating', l.same_as_en);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const r = report();
+  const langArg = args.includes('--lang') ? args[args.indexOf('--lang') + 1] : null;
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(r, null, 2));
+  } else if (langArg) {
+    if (!r.languages[langArg]) {
+      console.error(`Unknown language "${langArg}". Available: ${Object.keys(r.languages).join(', ')}`);
+      return 2;
+    }
+    printLanguage(r, langArg);
+  } else {
+    printSummary(r);
+  }
+
+  const langs = Object.values(r.languages);
+  const broken = langs.some(l => l.placeholders.length);
+  const incomplete = langs.some(l => l.missing.length);
+  return broken || (args.includes('--strict') && incomplete) ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -1,56 +1,330 @@
-"""Mapping from project country IDs to ISO 3166-1 alpha-2 codes."""
+"""Mapping from project country IDs to ISO 3166-1 codes."""
 
 COUNTRY_ID_TO_ISO2 = {
+    "afghanistan": "AF",
+    "albania": "AL",
+    "algeria": "DZ",
+    "angola": "AO",
     "argentina": "AR",
+    "armenia": "AM",
     "australia": "AU",
     "austria": "AT",
+    "azerbaijan": "AZ",
+    "bahamas": "BS",
+    "bahrain": "BH",
+    "bangladesh": "BD",
+    "barbados": "BB",
+    "belarus": "BY",
     "belgium": "BE",
+    "belize": "BZ",
+    "benin": "BJ",
+    "bhutan": "BT",
+    "bolivia": "BO",
+    "bosnia": "BA",
+    "botswana": "BW",
     "brazil": "BR",
+    "brunei": "BN",
+    "bulgaria": "BG",
+    "burkina_faso": "BF",
+    "cambodia": "KH",
+    "cameroon": "CM",
     "canada": "CA",
+    "chad": "TD",
     "chile": "CL",
     "china": "CN",
     "colombia": "CO",
     "costa_rica": "CR",
+    "cote_divoire": "CI",
+    "croatia": "HR",
+    "cuba": "CU",
+    "cyprus": "CY",
     "czechia": "CZ",
     "denmark": "DK",
+    "dominican_republic": "DO",
+    "dr_congo": "CD",
+    "ecuador": "EC",
     "egypt": "EG",
+    "el_salvador": "SV",
+    "eritrea": "ER",
+    "estonia": "EE",
     "ethiopia": "ET",
+    "fiji": "FJ",
     "finland": "FI",
     "france": "FR",
+    "gabon": "GA",
+    "georgia": "GE",
     "germany": "DE",
     "ghana": "GH",
     "greece": "GR",
+    "guatemala": "GT",
+    "guinea": "GN",
+    "guyana": "GY",
+    "haiti": "HT",
+    "honduras": "HN",
+    "hungary": "HU",
     "iceland": "IS",
     "india": "IN",
     "indonesia": "ID",
+    "iran": "IR",
+    "iraq": "IQ",
     "ireland": "IE",
     "israel": "IL",
     "italy": "IT",
+    "jamaica": "JM",
     "japan": "JP",
+    "jordan": "JO",
+    "kazakhstan": "KZ",
     "kenya": "KE",
+    "kuwait": "KW",
+    "kyrgyzstan": "KG",
+    "laos": "LA",
+    "latvia": "LV",
+    "lebanon": "LB",
+    "libya": "LY",
+    "lithuania": "LT",
+    "luxembourg": "LU",
+    "madagascar": "MG",
+    "malawi": "MW",
+    "malaysia": "MY",
+    "maldives": "MV",
+    "mali": "ML",
+    "malta": "MT",
+    "mauritania": "MR",
+    "mauritius": "MU",
     "mexico": "MX",
+    "moldova": "MD",
+    "mongolia": "MN",
+    "montenegro": "ME",
     "morocco": "MA",
+    "mozambique": "MZ",
+    "myanmar": "MM",
+    "namibia": "NA",
+    "nepal": "NP",
     "netherlands": "NL",
     "new_zealand": "NZ",
+    "nicaragua": "NI",
+    "niger": "NE",
     "nigeria": "NG",
+    "north_korea": "KP",
+    "north_macedonia": "MK",
     "norway": "NO",
+    "oman": "OM",
     "pakistan": "PK",
+    "panama": "PA",
+    "papua_new_guinea": "PG",
+    "paraguay": "PY",
+    "peru": "PE",
+    "philippines": "PH",
     "poland": "PL",
     "portugal": "PT",
+    "qatar": "QA",
     "romania": "RO",
     "russia": "RU",
+    "rwanda": "RW",
     "saudi_arabia": "SA",
+    "senegal": "SN",
+    "serbia": "RS",
+    "sierra_leone": "SL",
     "singapore": "SG",
+    "slovakia": "SK",
+    "slovenia": "SI",
+    "somalia": "SO",
     "south_africa": "ZA",
     "south_korea": "KR",
+    "south_sudan": "SS",
     "spain": "ES",
+    "sri_lanka": "LK",
+    "sudan": "SD",
+    "suriname": "SR",
     "sweden": "SE",
     "switzerland": "CH",
+    "syria": "SY",
+    "taiwan": "TW",
+    "tajikistan": "TJ",
+    "tanzania": "TZ",
+    "thailand": "TH",
+    "timor_leste": "TL",
+    "togo": "TG",
+    "trinidad_tobago": "TT",
+    "tunisia": "TN",
     "turkey": "TR",
+    "turkmenistan": "TM",
     "uae": "AE",
+    "uganda": "UG",
     "uk": "GB",
     "ukraine": "UA",
+    "uruguay": "UY",
     "usa": "US",
+    "uzbekistan": "UZ",
+    "venezuela": "VE",
+    "vietnam": "VN",
+    "yemen": "YE",
+    "zambia": "ZM",
+    "zimbabwe": "ZW",
+}
+
+# ISO 3166-1 numeric codes, as used for feature IDs in Natural Earth / world-atlas
+COUNTRY_ID_TO_ISO_NUMERIC = {
+    "afghanistan": "004",
+    "albania": "008",
+    "algeria": "012",
+    "angola": "024",
+    "argentina": "032",
+    "armenia": "051",
+    "australia": "036",
+    "austria": "040",
+    "azerbaijan": "031",
+    "bahamas": "044",
+    "bahrain": "048",
+    "bangladesh": "050",
+    "barbados": "052",
+    "belarus": "112",
+    "belgium": "056",
+    "belize": "084",
+    "benin": "204",
+    "bhutan": "064",
+    "bolivia": "068",
+    "bosnia": "070",
+    "botswana": "072",
+    "brazil": "076",
+    "brunei": "096",
+    "bulgaria": "100",
+    "burkina_faso": "854",
+    "cambodia": "116",
+    "cameroon": "120",
+    "canada": "124",
+    "chad": "148",
+    "chile": "152",
+    "china": "156",
+    "colombia": "170",
+    "costa_rica": "188",
+    "cote_divoire": "384",
+    "croatia": "191",
+    "cuba": "192",
+    "cyprus": "196",
+    "czechia": "203",
+    "denmark": "208",
+    "dominican_republic": "214",
+    "dr_congo": "180",
+    "ecuador": "218",
+    "egypt": "818",
+    "el_salvador": "222",
+    "eritrea": "232",
+    "estonia": "233",
+    "ethiopia": "231",
+    "fiji": "242",
+    "finland": "246",
+    "france": "250",
+    "gabon": "266",
+    "georgia": "268",
+    "germany": "276",
+    "ghana": "288",
+    "greece": "300",
+    "guatemala": "320",
+    "guinea": "324",
+    "guyana": "328",
+    "haiti": "332",
+    "honduras": "340",
+    "hungary": "348",
+    "iceland": "352",
+    "india": "356",
+    "indonesia": "360",
+    "iran": "364",
+    "iraq": "368",
+    "ireland": "372",
+    "israel": "376",
+    "italy": "380",
+    "jamaica": "388",
+    "japan": "392",
+    "jordan": "400",
+    "kazakhstan": "398",
+    "kenya": "404",
+    "kuwait": "414",
+    "kyrgyzstan": "417",
+    "laos": "418",
+    "latvia": "428",
+    "lebanon": "422",
+    "libya": "434",
+    "lithuania": "440",
+    "luxembourg": "442",
+    "madagascar": "450",
+    "malawi": "454",
+    "malaysia": "458",
+    "maldives": "462",
+    "mali": "466",
+    "malta": "470",
+    "mauritania": "478",
+    "mauritius": "480",
+    "mexico": "484",
+    "moldova": "498",
+    "mongolia": "496",
+    "montenegro": "499",
+    "morocco": "504",
+    "mozambique": "508",
+    "myanmar": "104",
+    "namibia": "516",
+    "nepal": "524",
+    "netherlands": "528",
+    "new_zealand": "554",
+    "nicaragua": "558",
+    "niger": "562",
+    "nigeria": "566",
+    "north_korea": "408",
+    "north_macedonia": "807",
+    "norway": "578",
+    "oman": "512",
+    "pakistan": "586",
+    "panama": "591",
+    "papua_new_guinea": "598",
+    "paraguay": "600",
+    "peru": "604",
+    "philippines": "608",
+    "poland": "616",
+    "portugal": "620",
+    "qatar": "634",
+    "romania": "642",
+    "russia": "643",
+    "rwanda": "646",
+    "saudi_arabia": "682",
+    "senegal": "686",
+    "serbia": "688",
+    "sierra_leone": "694",
+    "singapore": "702",
+    "slovakia": "703",
+    "slovenia": "705",
+    "somalia": "706",
+    "south_africa": "710",
+    "south_korea": "410",
+    "south_sudan": "728",
+    "spain": "724",
+    "sri_lanka": "144",
+    "sudan": "729",
+    "suriname": "740",
+    "sweden": "752",
+    "switzerland": "756",
+    "syria": "760",
+    "taiwan": "158",
+    "tajikistan": "762",
+    "tanzania": "834",
+    "thailand": "764",
+    "timor_leste": "626",
+    "togo": "768",
+    "trinidad_tobago": "780",
+    "tunisia": "788",
+    "turkey": "792",
+    "turkmenistan": "795",
+    "uae": "784",
+    "uganda": "800",
+    "uk": "826",
+    "ukraine": "804",
+    "uruguay": "858",
+    "usa": "840",
+    "uzbekistan": "860",
+    "venezuela": "862",
+    "vietnam": "704",
+    "yemen": "887",
+    "zambia": "894",
+    "zimbabwe": "716",
 }
 
 # Reverse lookup: ISO2 → country ID
@@ -0,0 +1,797 @@
+#!/usr/bin/env node
+/**
+ * prerender.js - Static HTML of the site's pages in every language
+ *
+ * Pages are rendered in the browser by app.js, so search engines that do not
+ * run JavaScript and readers with scripts turned off see empty containers.
+ * This script runs the site's own scripts (js/data.js, i18n.js, app.js, ...)
+ * in a Node vm against data/ and writes what they render: no second
+ * implementation of the pages to keep in sync. A small DOM (parser,
+ * selectors, innerHTML) stands in for the browser; charts and event handlers
+ * are left out.
+ *
+ * Only what the page scripts write into the page is kept (contents of the
+ * template's elements and the translated data-i18n texts); elements app.js
+ * adds for interaction (tooltip, scroll buttons, switchers) are not. In the
+ * browser the same scripts run again and render over the static content.
+ *
+ * Run at deploy by .github/workflows/pages.yml; the output is not in git.
+ *
+ * Layout (for every code in data/lang/index.json):
+ *     <lang>/index.html, <lang>/prosperity.html, ...   home, rankings, about, methodology
+ *     <lang>/country/<id>.html                         one per country
+ *     <lang>/pillar/<id>.html                          "overall" and one per pillar
+ * and, language-neutral (rendered in English, then in the visitor's language
+ * by app.js; the x-default of the pages above and the links the share bar uses):
+ *     country/<id>.html, pillar/<id>.html
+ *     img/og/<id>.png                                  the country's share card (--images)
+ *     sitemap.xml                                      entries for the pages above are replaced
+ *
+ * The pages use <base href="../"> (or "../../") and <body data-page data-id>,
+ * which app.js reads instead of the address. Links between prerendered pages
+ * point to the static page in the same language.
+ *
+ * Runs offline with plain Node (no dependencies). --images draws the preview
+ * images with resvg: npm install --no-save @resvg/resvg-js (outside the site,
+ * e.g. with --prefix and NODE_PATH, as the workflow does).
+ *
+ * Usage:
+ *   node scripts/prerender.js                      # dry-run: render, report sizes
+ *   node scripts/prerender.js --apply              # write all pages + sitemap.xml
+ *   node scripts/prerender.js --apply --images     # also draw img/og/<id>.png
+ *   node scripts/prerender.js --apply --lang de    # one language (no neutral pages, sitemap untouched)
+ *   node scripts/prerender.js --out /tmp/site      # write to another directory
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SITE = 'https://world-bar.github.io/';
+const GENERIC_OG_IMAGE = 'img/og-preview.png';
+const DESCRIPTION_MAX = 200;
+
+// Pages that are prerendered; interactive ones (compare, explore, quiz, map) are not
+const STATIC_PAGES = ['index', 'prosperity', 'trade', 'press-freedom', 'life-satisfaction', 'rule-of-law', 'about', 'methodology'];
+// Scripts that only wire the browser (service worker, Chart.js)
+const SKIP_SCRIPTS = ['js/pwa.js', 'js/chart.min.js'];
+// Containers filled with controls that only work with JavaScript
+const SKIP_IDS = ['lang-switcher', 'currency-switcher', 'country-selector'];
+
+// ===== Minimal DOM =====
+
+const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rarr: '→', larr: '←', times: '×', middot: '·', ndash: '–', mdash: '—', hellip: '…' };
+
+function decode(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return ENTITIES[e] != null ? ENTITIES[e] : m;
+  });
+}
+
+const escapeText = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = s => String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+class Node {
+  constructor() {
+    this.parentNode = null;
+  }
+
+  get parentElement() {
+    return this.parentNode instanceof Element ? this.parentNode : null;
+  }
+
+  get nextSibling() {
+    const siblings = this.parentNode ? this.parentNode.childNodes : [];
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  replaceWith(node) {
+    if (this.parentNode) this.parentNode.replaceChild(node, this);
+  }
+
+  after(node) {
+    if (this.parentNode) this.parentNode.insertBefore(node, this.nextSibling);
+  }
+
+  before(node) {
+    if (this.parentNode) this.parentNode.insertBefore(node, this);
+  }
+}
+
+class Text extends Node {
+  constructor(raw) {
+    super();
+    this.raw = raw;
+  }
+
+  get textContent() {
+    return decode(this.raw);
+  }
+
+  set textContent(value) {
+    this.raw = escapeText(value);
+  }
+
+  get outerHTML() {
+    return this.raw;
+  }
+}
+
+class Comment extends Node {
+  constructor(raw) {
+    super();
+    this.raw = raw;
+  }
+
+  get textContent() {
+    return '';
+  }
+
+  get outerHTML() {
+    return this.raw;
+  }
+}
+
+const REFLECTED = { id: 'id', className: 'class', title: 'title', placeholder: 'placeholder', href: 'href', src: 'src', alt: 'alt', type: 'type', name: 'name', value: 'value', htmlFor: 'for', rel: 'rel', target: 'target', download: 'download', role: 'role' };
+const BOOLEAN = ['hidden', 'checked', 'selected', 'disabled', 'open', 'multiple'];
+
+class Element extends Node {
+  constructor(tag, attrs = []) {
+    super();
+    this.localName = tag.toLowerCase();
+    this.attrs = attrs;  // [name, raw value as written in the HTML]
+    this.childNodes = [];
+    this.style = { setProperty() {}, removeProperty() {} };
+    this.tpl = null;  // index in the page template, see Page
+  }
+
+  get tagName() {
+    return this.localName.toUpperCase();
+  }
+
+  // ----- Attributes -----
+
+  getAttribute(name) {
+    const attr = this.attrs.find(a => a[0] === name);
+    return attr ? decode(attr[1]) : null;
+  }
+
+  hasAttribute(name) {
+    return this.attrs.some(a => a[0] === name);
+  }
+
+  setAttribute(name, value) {
+    const attr = this.attrs.find(a => a[0] === name);
+    if (attr) attr[1] = escapeAttr(value);
+    else this.attrs.push([name, escapeAttr(value)]);
+    this.attrsChanged = true;
+  }
+
+  removeAttribute(name) {
+    this.attrs = this.attrs.filter(a => a[0] !== name);
+    this.attrsChanged = true;
+  }
+
+  get classList() {
+    const classes = () => (this.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    const write = list => this.setAttribute('class', list.join(' '));
+    return {
+      contains: c => classes().includes(c),
+      add: (...cs) => write(classes().concat(cs.filter(c => !classes().includes(c)))),
+      remove: (...cs) => write(classes().filter(c => !cs.includes(c))),
+      toggle: (c, force) => {
+        const on = force === undefined ? !classes().includes(c) : !!force;
+        write(on ? classes().filter(x => x !== c).concat(c) : classes().filter(x => x !== c));
+        return on;
+      }
+    };
+  }
+
+  get dataset() {
+    const attrName = key => 'data-' + String(key).replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+    return new Proxy({}, {
+      get: (target, key) => (typeof key === 'string' ? this.getAttribute(attrName(key)) ?? undefined : undefined),
+      set: (target, key, value) => { this.setAttribute(attrName(key), value); return true; },
+      has: (target, key) => this.hasAttribute(attrName(key))
+    });
+  }
+
+  // ----- Tree -----
+
+  get children() {
+    return this.childNodes.filter(n => n instanceof Element);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+
+  get lastElementChild() {
+    const children = this.children;
+    return children[children.length - 1] || null;
+  }
+
+  get nextElementSibling() {
+    const siblings = this.parentNode ? this.parentNode.children : [];
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get previousElementSibling() {
+    const siblings = this.parentNode ? this.parentNode.children : [];
+    return siblings[siblings.indexOf(this) - 1] || null;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  append(...nodes) {
+    nodes.forEach(n => this.appendChild(n));
+  }
+
+  insertBefore(node, ref) {
+    node.remove();
+    const i = ref ? this.childNodes.indexOf(ref) : -1;
+    this.childNodes.splice(i < 0 ? this.childNodes.length : i, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  removeChild(node) {
+    const i = this.childNodes.indexOf(node);
+    if (i >= 0) this.childNodes.splice(i, 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  replaceChild(node, old) {
+    this.insertBefore(node, old);
+    return this.removeChild(old);
+  }
+
+  contains(node) {
+    for (let n = node; n; n = n.parentNode) if (n === this) return true;
+    return false;
+  }
+
+  // ----- Content -----
+
+  get innerHTML() {
+    return this.childNodes.map(n => n.outerHTML).join('');
+  }
+
+  set innerHTML(html) {
+    this.childNodes.forEach(n => { n.parentNode = null; });
+    this.childNodes = [];
+    parseInto(this, String(html));
+    this.contentChanged = true;
+  }
+
+  get outerHTML() {
+    const attrs = this.attrs.map(([k, v]) => ` ${k}="${v}"`).join('');
+    if (VOID.has(this.localName)) return `<${this.localName}${attrs}>`;
+    return `<${this.localName}${attrs}>${this.innerHTML}</${this.localName}>`;
+  }
+
+  get textContent() {
+    return this.childNodes.map(n => n.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.innerHTML = RAW_TEXT.has(this.localName) ? String(value) : escapeText(value);
+  }
+
+  insertAdjacentHTML(position, html) {
+    const holder = new Element('template');
+    parseInto(holder, String(html));
+    const nodes = holder.childNodes.slice();
+    if (position === 'afterbegin') nodes.reverse().forEach(n => this.insertBefore(n, this.firstChild));
+    else if (position === 'beforeend') nodes.forEach(n => this.appendChild(n));
+    else if (position === 'beforebegin') nodes.forEach(n => this.before(n));
+    else if (position === 'afterend') nodes.reverse().forEach(n => this.after(n));
+    this.contentChanged = true;
+  }
+
+  // ----- Selectors -----
+
+  querySelectorAll(selector) {
+    const groups = parseSelector(selector);
+    const found = [];
+    const walk = el => el.children.forEach(child => {
+      if (groups.some(g => matchesGroup(child, g))) found.push(child);
+      walk(child);
+    });
+    walk(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  matches(selector) {
+    return parseSelector(selector).some(g => matchesGroup(this, g));
+  }
+
+  closest(selector) {
+    for (let el = this; el instanceof Element; el = el.parentNode) if (el.matches(selector)) return el;
+    return null;
+  }
+
+  // ----- Browser-only (events, layout, canvas) -----
+
+  addEventListener() {}
+  removeEventListener() {}
+  dispatchEvent() { return true; }
+  focus() {}
+  blur() {}
+  click() {}
+  scrollBy() {}
+  scrollIntoView() {}
+  getContext() { return null; }
+  getBoundingClientRect() { return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 }; }
+  get offsetHeight() { return 0; }
+  get offsetWidth() { return 0; }
+  get scrollWidth() { return 0; }
+  get clientWidth() { return 0; }
+  get scrollLeft() { return 0; }
+}
+
+Object.entries(REFLECTED).forEach(([prop, attr]) => {
+  Object.defineProperty(Element.prototype, prop, {
+    get() { return this.getAttribute(attr) || ''; },
+    set(value) { this.setAttribute(attr, value); }
+  });
+});
+BOOLEAN.forEach(prop => {
+  Object.defineProperty(Element.prototype, prop, {
+    get() { return this.hasAttribute(prop); },
+    set(value) { if (value) this.setAttribute(prop, ''); else this.removeAttribute(prop); }
+  });
+});
+
+const TOKEN = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|[^<]+|</g;
+const ATTR = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Enough HTML for the templates and the renderers' output: no implied end tags
+function parseInto(parent, html) {
+  const stack = [parent];
+  const top = () => stack[stack.length - 1];
+  TOKEN.lastIndex = 0;
+  for (let m; (m = TOKEN.exec(html));) {
+    const [token, closeTag, openTag, attrText, selfClose] = m;
+    if (openTag) {
+      const attrs = [];
+      for (const a of (attrText || '').matchAll(ATTR)) attrs.push([a[1].toLowerCase(), a[2] ?? a[3] ?? a[4] ?? '']);
+      const el = new Element(openTag, attrs);
+      top().appendChild(el);
+      if (RAW_TEXT.has(el.localName)) {
+        const end = html.toLowerCase().indexOf(`</${el.localName}`, TOKEN.lastIndex);
+        const stop = end < 0 ? html.length : end;
+        if (stop > TOKEN.lastIndex) el.appendChild(new Text(html.slice(TOKEN.lastIndex, stop)));
+        TOKEN.lastIndex = end < 0 ? html.length : html.indexOf('>', end) + 1;
+      } else if (!selfClose && !VOID.has(el.localName)) {
+        stack.push(el);
+      }
+    } else if (closeTag) {
+      const name = closeTag.toLowerCase();
+      const i = stack.map(el => el.localName).lastIndexOf(name);
+      if (i > 0) stack.length = i;
+    } else if (token.startsWith('<!--') || token.startsWith('<!')) {
+      top().appendChild(new Comment(token));
+    } else {
+      top().appendChild(new Text(token));
+    }
+  }
+}
+
+// "a.b[c*='d'] > e, f" -> [[{ tag, ids, classes, attrs, pseudos, combinator }, ...], ...]
+function parseSelector(selector) {
+  return selector.split(',').map(group => {
+    const parts = group.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+    const compounds = [];
+    let combinator = ' ';
+    parts.forEach(part => {
+      if (part === '>') { combinator = '>'; return; }
+      const c = { tag: null, ids: [], classes: [], attrs: [], pseudos: [], combinator };
+      const re = /^[a-zA-Z*][\w-]*|#[\w-]+|\.[\w-]+|\[([\w-]+)(?:([*^$~]?=)["']?([^"'\]]*)["']?)?\]|:[\w-]+/g;
+      for (const m of part.matchAll(re)) {
+        const t = m[0];
+        if (t[0] === '#') c.ids.push(t.slice(1));
+        else if (t[0] === '.') c.classes.push(t.slice(1));
+        else if (t[0] === '[') c.attrs.push({ name: m[1], op: m[2], value: m[3] });
+        else if (t[0] === ':') c.pseudos.push(t.slice(1));
+        else if (t !== '*') c.tag = t.toLowerCase();
+      }
+      compounds.push(c);
+      combinator = ' ';
+    });
+    return compounds;
+  });
+}
+
+function matchesCompound(el, c) {
+  if (c.tag && el.localName !== c.tag) return false;
+  if (c.ids.some(id => el.getAttribute('id') !== id)) return false;
+  if (c.classes.some(cls => !el.classList.contains(cls))) return false;
+  if (c.pseudos.some(p => p !== 'checked' || !el.hasAttribute('checked'))) return false;
+  return c.attrs.every(({ name, op, value }) => {
+    const v = el.getAttribute(name);
+    if (v == null) return false;
+    if (op === '=') return v === value;
+    if (op === '*=') return v.includes(value);
+    if (op === '^=') return v.startsWith(value);
+    if (op === '$=') return v.endsWith(value);
+    if (op === '~=') return v.split(/\s+/).includes(value);
+    return true;
+  });
+}
+
+function matchesGroup(el, compounds, i = compounds.length - 1) {
+  if (!matchesCompound(el, compounds[i])) return false;
+  if (i === 0) return true;
+  if (compounds[i].combinator === '>') {
+    return el.parentNode instanceof Element && matchesGroup(el.parentNode, compounds, i - 1);
+  }
+  for (let a = el.parentNode; a instanceof Element; a = a.parentNode) {
+    if (matchesGroup(a, compounds, i - 1)) return true;
+  }
+  return false;
+}
+
+// ===== Page =====
+
+/**
+ * A template parsed twice: `doc` is handed to the page scripts, `output`
+ * stays as written. Elements of both carry their template index (tpl), so
+ * whatever the scripts wrote into template elements can be copied over.
+ */
+class Page {
+  constructor(html) {
+    this.doctype = (html.match(/^<!DOCTYPE[^>]*>/i) || ['<!DOCTYPE html>'])[0];
+    this.root = Page.parse(html);
+    this.output = Page.parse(html);
+    this.listeners = {};
+  }
+
+  static parse(html) {
+    const root = new Element('#document');
+    parseInto(root, html.replace(/^<!DOCTYPE[^>]*>\s*/i, ''));
+    Page.elements(root).forEach((el, i) => { el.tpl = i; });
+    return root;
+  }
+
+  static elements(root) {
+    const list = [];
+    const walk = el => el.children.forEach(child => { list.push(child); walk(child); });
+    walk(root);
+    return list;
+  }
+
+  // The `document` the page scripts see
+  document() {
+    const root = this.root;
+    const html = root.querySelector('html');
+    const listeners = this.listeners;
+    return {
+      documentElement: html,
+      head: root.querySelector('head'),
+      body: root.querySelector('body'),
+      readyState: 'loading',
+      cookie: '',
+      activeElement: null,
+      get title() { const t = root.querySelector('title'); return t ? t.textContent : ''; },
+      set title(value) { const t = root.querySelector('title'); if (t) t.textContent = value; },
+      getElementById: id => root.querySelector('#' + id),
+      querySelector: sel => root.querySelector(sel),
+      querySelectorAll: sel => root.querySelectorAll(sel),
+      createElement: tag => new Element(tag),
+      createTextNode: text => new Text(escapeText(text)),
+      addEventListener(type, fn) { (listeners[type] = listeners[type] || []).push(fn); },
+      removeEventListener() {},
+      dispatchEvent(event) {
+        (listeners[event.type] || []).forEach(fn => fn(event));
+        return true;
+      }
+    };
+  }
+
+  // Template HTML with what the scripts rendered into it
+  html() {
+    const live = Page.elements(this.root).filter(el => el.tpl != null);
+    const byIndex = new Map(live.map(el => [el.tpl, el]));
+    Page.elements(this.output).forEach(out => {
+      const el = byIndex.get(out.tpl);
+      if (!el || SKIP_IDS.includes(out.getAttribute('id'))) return;
+      if (el.contentChanged) out.innerHTML = el.innerHTML;
+      if (el.attrsChanged) out.attrs = el.attrs.map(a => a.slice());
+    });
+    return this.doctype + '\n' + this.output.innerHTML;
+  }
+}
+
+// ===== Rendering =====
+
+const _files = {};
+function readFile(rel) {
+  if (!(rel in _files)) {
+    const file = path.join(ROOT, rel);
+    _files[rel] = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  }
+  return _files[rel];
+}
+
+const _scripts = {};
+function script(rel) {
+  if (!_scripts[rel]) _scripts[rel] = new vm.Script(readFile(rel), { filename: rel });
+  return _scripts[rel];
+}
+
+function storage(initial = {}) {
+  const items = Object.assign({}, initial);
+  return {
+    getItem: k => (k in items ? items[k] : null),
+    setItem: (k, v) => { items[k] = String(v); },
+    removeItem: k => { delete items[k]; }
+  };
+}
+
+/**
+ * Run the template's scripts for one page and return its HTML.
+ * spec: { template, out, page, id, lang }; withCard: also return the
+ * country's share card (SVG)
+ */
+async function render(spec, withCard) {
+  const page = new Page(readFile(spec.template));
+  const document = page.document();
+  // As <base> makes it in the browser: the site root
+  document.baseURI = SITE;
+  if (spec.page) document.body.setAttribute('data-page', spec.page);
+  if (spec.id) document.body.setAttribute('data-id', spec.id);
+
+  const windowListeners = {};
+  const context = {
+    document,
+    console: { log() {}, info() {}, warn() {}, error: (...args) => console.error(`  ${spec.out}:`, ...args) },
+    location: new URL(SITE + spec.out),
+    history: { replaceState() {}, pushState() {} },
+    navigator: { language: spec.lang, languages: [spec.lang], userAgent: 'prerender' },
+    localStorage: storage(),
+    sessionStorage: storage(),
+    innerWidth: 1200,
+    innerHeight: 800,
+    scrollY: 0,
+    URL, URLSearchParams, Intl, Promise,
+    CustomEvent: class { constructor(type, init = {}) { this.type = type; this.detail = init.detail; } },
+    Event: class { constructor(type) { this.type = type; } },
+    setTimeout: () => 0,
+    clearTimeout() {},
+    setInterval: () => 0,
+    clearInterval() {},
+    requestAnimationFrame: () => 0,
+    matchMedia: () => ({ matches: false, addEventListener() {}, addListener() {} }),
+    getComputedStyle: () => ({ getPropertyValue: () => '' }),
+    scrollTo() {},
+    addEventListener(type, fn) { (windowListeners[type] = windowListeners[type] || []).push(fn); },
+    removeEventListener() {},
+    postMessage() {},
+    fetch: async url => {
+      const text = readFile(decodeURI(String(url).split('?')[0]));
+      return {
+        ok: text != null,
+        status: text != null ? 200 : 404,
+        json: async () => JSON.parse(text),
+        text: async () => text
+      };
+    }
+  };
+  context.window = context.self = context.parent = context;
+  vm.createContext(context);
+
+  const sources = page.root.querySelectorAll('script[src]').map(s => s.getAttribute('src'))
+    .filter(src => src.startsWith('js/') && !SKIP_SCRIPTS.includes(src));
+  sources.forEach(src => script(src).runInContext(context));
+  for (const fn of page.listeners.DOMContentLoaded || []) await fn({ type: 'DOMContentLoaded' });
+
+  // The summary lines without their icons (📊, ✅, ...)
+  const summary = page.root.querySelectorAll('.summary-box .summary-text').map(line => textOf(line.innerHTML));
+  // The card of the share bar's "image" button
+  const card = withCard
+    ? vm.runInContext(`ShareCard.countrySvg(Data.getCountry(${JSON.stringify(spec.id)}), _countryShapes[${JSON.stringify(spec.id)}] || '')`, context)
+    : null;
+  return {
+    html: page.html(),
+    description: summary.length ? summary.join(' ') : null,
+    card
+  };
+}
+
+// ===== Output =====
+
+// Plain text of rendered HTML: inline tags vanish, block tags become spaces
+function textOf(html) {
+  const text = html.replace(/<\/?(a|b|em|i|small|span|strong)\b[^>]*>/g, '').replace(/<[^>]*>/g, ' ');
+  return decode(text).replace(/\s+/g, ' ').trim();
+}
+
+function clip(text, limit = DESCRIPTION_MAX) {
+  if (text.length <= limit) return text;
+  return text.slice(0, limit - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+// Links to pages that have a static copy go to the copy in the same language
+// (dir: 'de/', or '' for the language-neutral pages)
+function localizeLinks(html, dir) {
+  const pages = STATIC_PAGES.join('|');
+  return html.replace(/href="([^"]*)"/g, (m, href) => {
+    let to = null;
+    let match;
+    if ((match = /^country\.html\?id=([\w-]+)$/.exec(href))) to = `country/${match[1]}.html`;
+    else if ((match = /^pillar\.html\?id=([\w-]+)$/.exec(href))) to = `pillar/${match[1]}.html`;
+    else if ((match = new RegExp(`^(${pages})\\.html(#[\\w-]*)?$`).exec(href))) to = `${match[1]}.html${match[2] || ''}`;
+    return to ? `href="${dir}${to}"` : m;
+  });
+}
+
+// Title from the page scripts; description, canonical and preview tags to match
+// (image: below the site root)
+function setMeta(html, spec, description, image, manifest) {
+  const title = escapeAttr(decode((html.match(/<title>([^<]*)<\/title>/) || [])[1] || ''));
+  const url = SITE + spec.out;
+  image = SITE + image;
+  const depth = spec.out.split('/').length - 1;
+  const desc = description ? escapeAttr(clip(description)) : null;
+  // The same page in every language; x-default: the page that picks the visitor's
+  const alternates = manifest.map(l => `<link rel="alternate" hreflang="${l}" href="${SITE}${l}/${spec.path}">`)
+    .concat(spec.xDefault ? `<link rel="alternate" hreflang="x-default" href="${SITE}${spec.xDefault}">` : [])
+    .map(link => '\n    ' + link).join('');
+  const replacements = [
+    [/<meta charset="UTF-8">/, `<meta charset="UTF-8">\n    <base href="${'../'.repeat(depth)}">`],
+    [/<meta property="og:url" content="[^"]*">/, `<meta property="og:url" content="${url}">\n    <link rel="canonical" href="${url}">${alternates}`],
+    [/<meta property="og:title" content="[^"]*">/, `<meta property="og:title" content="${title}">`],
+    [/<meta name="twitter:title" content="[^"]*">/, `<meta name="twitter:title" content="${title}">`],
+    [/<meta property="og:image" content="[^"]*">/, `<meta property="og:image" content="${image}">`],
+    [/<meta name="twitter:image" content="[^"]*">/, `<meta name="twitter:image" content="${image}">`]
+  ];
+  if (desc) {
+    replacements.push(
+      [/<meta name="description" content="[^"]*">/, `<meta name="description" content="${desc}">`],
+      [/<meta property="og:description" content="[^"]*">/, `<meta property="og:description" content="${desc}">`],
+      [/<meta name="twitter:description" content="[^"]*">/, `<meta name="twitter:description" content="${desc}">`]
+    );
+  }
+  return replacements.reduce((out, [pattern, value]) => out.replace(pattern, () => value), html);
+}
+
+// neutral: also the language-neutral country/ and pillar/ pages, first, so the
+// preview images exist before the pages that show them
+function specs(langs, neutral) {
+  const countries = JSON.parse(readFile('data/countries.json'));
+  const pillars = JSON.parse(readFile('data/pillars.json'));
+  const pillarIds = ['overall'].concat(pillars.map(p => p.id));
+  const list = [];
+  // path: below <lang>/; xDefault: the language-neutral page
+  const add = (template, path, xDefault, page, id) => langs.forEach(lang => {
+    list.push({ lang, dir: `${lang}/`, template, path, out: `${lang}/${path}`, xDefault, page, id });
+  });
+  if (neutral) {
+    countries.forEach(c => list.push({ lang: 'en', dir: '', template: 'country.html', path: `country/${c.id}.html`, out: `country/${c.id}.html`, xDefault: `country/${c.id}.html`, page: 'country', id: c.id, card: true }));
+    pillarIds.forEach(id => list.push({ lang: 'en', dir: '', template: 'pillar.html', path: `pillar/${id}.html`, out: `pillar/${id}.html`, xDefault: `pillar/${id}.html`, page: 'pillar', id }));
+  }
+  STATIC_PAGES.forEach(name => add(`${name}.html`, `${name}.html`, null, ['about', 'methodology'].includes(name) ? null : name));
+  countries.forEach(c => add('country.html', `country/${c.id}.html`, `country/${c.id}.html`, 'country', c.id));
+  pillarIds.forEach(id => add('pillar.html', `pillar/${id}.html`, `pillar/${id}.html`, 'pillar', id));
+  return list;
+}
+
+// PNG of an SVG with resvg, or null when @resvg/resvg-js is not installed
+function rasterizer() {
+  let Resvg;
+  try {
+    ({ Resvg } = require('@resvg/resvg-js'));
+  } catch {
+    return null;
+  }
+  // The cards ask for Helvetica/Arial, which Linux rarely has; nor has it a
+  // colour emoji font, so the pillar icons would be empty boxes
+  const font = { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans', sansSerifFamily: 'DejaVu Sans' };
+  return svg => new Resvg(svg.replace(/\p{Extended_Pictographic}\uFE0F?\s*/gu, ''), { font }).render().asPng();
+}
+
+function sitemapWith(sitemap, langs, paths, lastmod) {
+  const blocks = sitemap.match(/ {2}<url>[\s\S]*?<\/url>\n/g) || [];
+  const langDirs = new RegExp(`<loc>${SITE}(${langs.join('|')}|country|pillar)/`);
+  const kept = blocks.filter(b => !langDirs.test(b));
+  const priority = p => (/\/country\//.test(p) ? '0.6' : /\/pillar\//.test(p) ? '0.7' : '0.5');
+  const added = paths.map(p => `  <url>\n    <loc>${SITE}${p}</loc>\n    <lastmod>${lastmod}</lastmod>\n    <priority>${priority(p)}</priority>\n  </url>\n`);
+  return sitemap.slice(0, sitemap.indexOf('  <url>')) + kept.concat(added).join('') + '</urlset>\n';
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const out = args.includes('--out') ? path.resolve(args[args.indexOf('--out') + 1]) : ROOT;
+  const manifest = JSON.parse(readFile('data/lang/index.json'));
+  const langArg = args.includes('--lang') ? args[args.indexOf('--lang') + 1].split(',') : null;
+  const unknown = (langArg || []).filter(l => !manifest.includes(l));
+  if (unknown.length) {
+    console.error(`Unknown language "${unknown.join(', ')}". Available: ${manifest.join(', ')}`);
+    return 2;
+  }
+  const langs = langArg || manifest;
+  const rasterize = args.includes('--images') ? rasterizer() : null;
+  if (args.includes('--images') && !rasterize) {
+    console.error('--images needs resvg: npm install --no-save @resvg/resvg-js');
+    return 2;
+  }
+
+  const mode = apply ? 'APPLY' : 'DRY-RUN';
+  const list = specs(langs, !langArg);
+  console.log(`[${mode}] ${list.length} pages in ${langs.length} language(s): ${langs.join(', ')}` + (langArg ? '' : ' + language-neutral'));
+
+  const write = (rel, content) => {
+    const file = path.join(out, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+  // Countries with a preview image: drawn in this run, or from an earlier one
+  const drawn = new Set();
+  const imageOf = spec => {
+    const file = `img/og/${spec.id}.png`;
+    return spec.page === 'country' && (drawn.has(spec.id) || fs.existsSync(path.join(out, file))) ? file : GENERIC_OG_IMAGE;
+  };
+  let bytes = 0;
+  for (const spec of list) {
+    const { html, description, card } = await render(spec, spec.card && rasterize != null);
+    if (card) {
+      const png = rasterize(card);
+      if (apply) write(`img/og/${spec.id}.png`, png);
+      drawn.add(spec.id);
+    }
+    const page = setMeta(localizeLinks(html, spec.dir), spec, description, imageOf(spec), manifest);
+    bytes += Buffer.byteLength(page);
+    if (apply) write(spec.out, page);
+  }
+  console.log(`  ${(bytes / 1048576).toFixed(1)} MB of HTML` + (drawn.size ? `, ${drawn.size} preview images` : ''));
+
+  const wanted = new Set(list.map(s => s.out));
+  const stale = [];
+  const dirs = langs.flatMap(lang => ['', 'country/', 'pillar/'].map(dir => `${lang}/${dir}`))
+    .concat(langArg ? [] : ['country/', 'pillar/']);
+  dirs.forEach(dir => {
+    const folder = path.join(out, dir);
+    if (!fs.existsSync(folder)) return;
+    fs.readdirSync(folder).filter(f => f.endsWith('.html') && !wanted.has(dir + f))
+      .forEach(f => stale.push(dir + f));
+  });
+  stale.forEach(p => console.log(`  - ${p} (no longer in data, removed)`));
+
+  if (!apply) {
+    console.log('  Dry-run complete. Re-run with --apply to write changes.');
+    return 0;
+  }
+  stale.forEach(p => fs.unlinkSync(path.join(out, p)));
+
+  // A partial run (--lang) would drop the other languages from the sitemap
+  const history = JSON.parse(readFile('data/history.json') || '{"releases":[]}');
+  const releases = (history.releases || []).map(r => r.date).sort();
+  if (!langArg && releases.length) {
+    const sitemap = sitemapWith(readFile('sitemap.xml'), langs, list.map(s => s.out), releases[releases.length - 1]);
+    fs.writeFileSync(path.join(out, 'sitemap.xml'), sitemap);
+  }
+  console.log(`  ✓ Written ${langs.map(l => l + '/').join(', ')}` + (langArg ? '' : ', country/, pillar/ and sitemap.xml'));
+  return 0;
+}
+
+main().then(code => { process.exitCode = code; }, e => { console.error(e); process.exitCode = 1; });
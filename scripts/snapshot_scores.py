@@ -0,0 +1,92 @@
+#!/usr/bin/env python3
+"""Record the current pillar scores from countries.json as a release in history.json.
+
+Each data release keeps one full score set per country, so the country page
+can chart how pillars move over time.
+
+To backfill an earlier release, point --from at the countries.json it was
+published with (e.g. `git show <rev>:data/countries.json > /tmp/old.json`).
+
+Usage:
+    python3 scripts/snapshot_scores.py --release 2026-06 --date 2026-06-30          # dry-run
+    python3 scripts/snapshot_scores.py --release 2026-06 --date 2026-06-30 --apply  # write
+    python3 scripts/snapshot_scores.py --release 2025-09 --date 2025-09-30 --from /tmp/old.json --apply
+"""
+
+import argparse
+import json
+import sys
+from pathlib import Path
+
+DATA_DIR = Path(__file__).resolve().parent.parent / "data"
+COUNTRIES_PATH = DATA_DIR / "countries.json"
+HISTORY_PATH = DATA_DIR / "history.json"
+
+
+def load_history():
+    if not HISTORY_PATH.exists():
+        return {"releases": []}
+    with open(HISTORY_PATH, "r", encoding="utf-8") as f:
+        return json.load(f)
+
+
+def save_history(history):
+    with open(HISTORY_PATH, "w", encoding="utf-8") as f:
+        json.dump(history, f, indent=2, ensure_ascii=False)
+        f.write("\n")
+
+
+def current_scores(path=COUNTRIES_PATH):
+    with open(path, "r", encoding="utf-8") as f:
+        countries = json.load(f)
+    return {c["id"]: dict(c["scores"]) for c in countries}
+
+
+def main():
+    parser = argparse.ArgumentParser(
+        description="Snapshot countries.json scores into history.json."
+    )
+    parser.add_argument("--release", required=True, help="Release ID, e.g. 2026-06.")
+    parser.add_argument("--date", required=True, help="Release date (YYYY-MM-DD).")
+    parser.add_argument(
+        "--from",
+        dest="source",
+        type=Path,
+        default=COUNTRIES_PATH,
+        help="countries.json to take the scores from (default: data/countries.json).",
+    )
+    parser.add_argument(
+        "--apply",
+        action="store_true",
+        help="Write changes to history.json (default is dry-run).",
+    )
+    args = parser.parse_args()
+
+    mode = "APPLY" if args.apply else "DRY-RUN"
+    history = load_history()
+    if not args.source.exists():
+        print(f"Error: {args.source} not found.", file=sys.stderr)
+        return 1
+    scores = current_scores(args.source)
+
+    release = {"id": args.release, "date": args.date, "scores": scores}
+    existing = [r for r in history["releases"] if r["id"] != args.release]
+    replaced = len(existing) != len(history["releases"])
+    history["releases"] = sorted(existing + [release], key=lambda r: r["date"])
+
+    action = "Replacing" if replaced else "Adding"
+    print(f"[{mode}] {action} release {args.release} ({args.date}) "
+          f"with {len(scores)} countries; "
+          f"{len(history['releases'])} release(s) in total.")
+
+    if args.apply:
+        save_history(history)
+        print(f"  ✓ Written to {HISTORY_PATH}")
+    else:
+        print("  Dry-run complete. Re-run with --apply to write changes.")
+
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
@@ -5,6 +5,8 @@ Usage:
     python3 scripts/update_data.py                          # dry-run (default)
     python3 scripts/update_data.py --apply                  # write changes
     python3 scripts/update_data.py --countries norway,sweden # subset
+    python3 scripts/update_data.py --fields gdp_ppp,gdp_per_capita_ppp --apply
+                                                            # only these fields
 """
 
 import argparse
@@ -19,7 +21,7 @@ _project_root = str(Path(__file__).resolve().parent.parent)
 if _project_root not in sys.path:
     sys.path.insert(0, _project_root)
 
-from scripts.worldbank import fetch_all
+from scripts.worldbank import INDICATORS, fetch_all
 
 ECONOMICS_PATH = Path(__file__).resolve().parent.parent / "data" / "economics.json"
 
@@ -119,19 +121,34 @@ def main():
         default=None,
         help="Comma-separated list of country IDs to update (default: all).",
     )
+    parser.add_argument(
+        "--fields",
+        type=str,
+        default=None,
+        help="Comma-separated list of fields to update, e.g. gdp_ppp (default: all).",
+    )
     args = parser.parse_args()
 
     country_ids = None
     if args.countries:
         country_ids = [c.strip() for c in args.countries.split(",")]
 
+    fields = None
+    if args.fields:
+        fields = [f.strip() for f in args.fields.split(",")]
+        known = {field for field, _convert in INDICATORS.values()}
+        unknown = [f for f in fields if f not in known]
+        if unknown:
+            print(f"Unknown field(s): {', '.join(unknown)}. Available: {', '.join(sorted(known))}")
+            return 2
+
     mode = "APPLY" if args.apply else "DRY-RUN"
     print(f"[{mode}] Loading {ECONOMICS_PATH.name} …")
     economics = load_economics()
 
     target = country_ids or list(economics.keys())
     print(f"[{mode}] Fetching data for {len(target)} countries …\n")
-    api_data = fetch_all(country_ids)
+    api_data = fetch_all(country_ids, fields)
 
     changes = compute_diff(economics, api_data)
     print_diff(changes)
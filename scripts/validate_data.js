@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * validate_data.js - Check data/*.json against data/schema/ and against each other
+ *
+ * Schema checks: types, required fields, value ranges and enums
+ * (regime, system, conflict_status, continent, ...).
+ * Consistency checks:
+ *   - every country in countries.json has economics, politics and demographics
+ *     records, and those files have no unknown countries
+ *   - every country has a score for every pillar in pillars.json, and no others
+ *   - revenue / expenditure shares, age bands and urban + rural sum to ~100%
+ *   - enum values and region codes have an English label in data/lang/en.json
+ *   - names exist in every language of data/lang/index.json
+ *   - history.json only mentions known countries and pillars
+ *
+ * Runs offline with plain Node (no dependencies). Exit code 1 on errors;
+ * warnings alone do not fail.
+ *
+ * Usage:
+ *   node scripts/validate_data.js
+ *   node scripts/validate_data.js --strict   # warnings fail too
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const SCHEMA_DIR = path.join(DATA_DIR, 'schema');
+const FILES = ['countries', 'pillars', 'economics', 'politics', 'demographics', 'history'];
+const SUM_TOLERANCE = 1.0;  // percentage points
+
+const errors = [];
+const warnings = [];
+const error = (file, where, msg) => errors.push(`${file}: ${where ? where + ': ' : ''}${msg}`);
+const warn = (file, where, msg) => warnings.push(`${file}: ${where ? where + ': ' : ''}${msg}`);
+
+function load(rel) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, rel), 'utf8'));
+}
+
+// ----- Minimal JSON Schema (2020-12 subset used by data/schema/) -----
+
+const ANNOTATIONS = new Set(['$schema', '$id', '$defs', 'title', 'description']);
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function typeMatches(v, type) {
+  const actual = typeOf(v);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validate(value, schema, root, where, report) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace(/^#\/\$defs\//, '');
+    return validate(value, root.$defs[name], root, where, report);
+  }
+
+  Object.keys(schema).forEach(key => {
+    const rule = schema[key];
+    switch (key) {
+      case 'type': {
+        const types = [].concat(rule);
+        if (!types.some(t => typeMatches(value, t))) report(where, `expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        break;
+      }
+      case 'enum':
+        if (!rule.includes(value)) report(where, `unknown value ${JSON.stringify(value)} (allowed: ${rule.join(', ')})`);
+        break;
+      case 'minimum':
+        if (typeof value === 'number' && value < rule) report(where, `${value} is below the minimum ${rule}`);
+        break;
+      case 'maximum':
+        if (typeof value === 'number' && value > rule) report(where, `${value} is above the maximum ${rule}`);
+        break;
+      case 'exclusiveMinimum':
+        if (typeof value === 'number' && value <= rule) report(where, `${value} must be greater than ${rule}`);
+        break;
+      case 'minLength':
+        if (typeof value === 'string' && value.length < rule) report(where, `shorter than ${rule} characters`);
+        break;
+      case 'pattern':
+        if (typeof value === 'string' && !new RegExp(rule).test(value)) report(where, `${JSON.stringify(value)} does not match ${rule}`);
+        break;
+      case 'minItems':
+        if (Array.isArray(value) && value.length < rule) report(where, `needs at least ${rule} items`);
+        break;
+      case 'maxItems':
+        if (Array.isArray(value) && value.length > rule) report(where, `allows at most ${rule} items`);
+        break;
+      case 'prefixItems':
+        if (Array.isArray(value)) rule.forEach((s, i) => { if (i < value.length) validate(value[i], s, root, `${where}[${i}]`, report); });
+        break;
+      case 'items':
+        if (Array.isArray(value)) value.forEach((v, i) => validate(v, rule, root, `${where}[${i}]`, report));
+        break;
+      case 'required':
+        if (typeOf(value) === 'object') rule.forEach(k => { if (!(k in value)) report(where, `missing field "${k}"`); });
+        break;
+      case 'properties':
+        if (typeOf(value) === 'object') {
+          Object.keys(rule).forEach(k => { if (k in value) validate(value[k], rule[k], root, where ? `${where}.${k}` : k, report); });
+        }
+        break;
+      case 'additionalProperties':
+        if (typeOf(value) === 'object') {
+          const known = schema.properties || {};
+          Object.keys(value).filter(k => !(k in known)).forEach(k => {
+            const at = where ? `${where}.${k}` : k;
+            if (rule === false) report(at, 'unknown field');
+            else if (rule !== true) validate(value[k], rule, root, at, report);
+          });
+        }
+        break;
+      case 'propertyNames':
+        if (typeOf(value) === 'object') Object.keys(value).forEach(k => validate(k, rule, root, where ? `${where}.${k}` : k, report));
+        break;
+      default:
+        // Fail loudly rather than silently skipping a rule we do not implement
+        if (!ANNOTATIONS.has(key)) throw new Error(`Unsupported schema keyword "${key}"`);
+    }
+  });
+}
+
+function checkSchema(name, data) {
+  const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.schema.json`), 'utf8'));
+  const file = `${name}.json`;
+  // Array files report rows by country/pillar id instead of index
+  const label = where => where.replace(/^\[(\d+)\]/, (m, i) => (data[i] && data[i].id) || m);
+  validate(data, schema, schema, '', (where, msg) => error(file, label(where), msg));
+}
+
+// ----- Cross-file consistency -----
+
+function checkSum(file, where, parts, fields) {
+  const values = fields ? fields.map(f => parts[f]) : Object.values(parts || {});
+  if (!values.length || values.some(v => typeof v !== 'number')) return;
+  const sum = values.reduce((s, v) => s + v, 0);
+  if (Math.abs(sum - 100) > SUM_TOLERANCE) error(file, where, `shares sum to ${Math.round(sum * 10) / 10}%, expected ~100%`);
+}
+
+function checkConsistency(data, lang, languages) {
+  const { countries, pillars, economics, politics, demographics, history } = data;
+  const ids = countries.map(c => c.id);
+  const idSet = new Set(ids);
+  const pillarIds = pillars.map(p => p.id);
+
+  ids.filter((id, i) => ids.indexOf(id) !== i).forEach(id => error('countries.json', id, 'duplicate country id'));
+
+  // Every country in each keyed file, and nothing else
+  [['economics.json', economics], ['politics.json', politics], ['demographics.json', demographics]].forEach(([file, records]) => {
+    ids.filter(id => !records[id]).forEach(id => error(file, id, 'missing country (present in countries.json)'));
+    Object.keys(records).filter(id => !idSet.has(id)).forEach(id => error(file, id, 'unknown country (not in countries.json)'));
+  });
+
+  countries.forEach(c => {
+    const scores = c.scores || {};
+    pillarIds.filter(p => scores[p] == null).forEach(p => error('countries.json', c.id, `missing score for pillar "${p}"`));
+    Object.keys(scores).filter(p => !pillarIds.includes(p)).forEach(p => error('countries.json', c.id, `score for unknown pillar "${p}"`));
+    languages.filter(l => !(c.name && c.name[l])).forEach(l => warn('countries.json', c.id, `no name in "${l}"`));
+    ['continent', 'region', 'income'].forEach(type => {
+      if (c[type] && !lang[`geo.${type}.${c[type]}`]) warn('countries.json', c.id, `no label geo.${type}.${c[type]} in en.json`);
+    });
+  });
+
+  pillars.forEach(p => {
+    [p.name_key, p.desc_key].forEach(key => { if (key && !lang[key]) warn('pillars.json', p.id, `no label ${key} in en.json`); });
+  });
+
+  Object.keys(economics).forEach(id => {
+    checkSum('economics.json', `${id}.revenue`, economics[id].revenue);
+    checkSum('economics.json', `${id}.expenditure`, economics[id].expenditure);
+  });
+
+  Object.keys(demographics).forEach(id => {
+    checkSum('demographics.json', `${id} age bands`, demographics[id], ['age_0_14', 'age_15_64', 'age_65_plus']);
+    checkSum('demographics.json', `${id} urban/rural`, demographics[id], ['urban_pct', 'rural_pct']);
+  });
+
+  const labels = { system: 'pol.system.', regime: 'pol.regime.', conflict_status: 'peace.status.' };
+  Object.keys(politics).forEach(id => {
+    Object.keys(labels).forEach(field => {
+      const v = politics[id][field];
+      if (v && !lang[labels[field] + v]) warn('politics.json', id, `no label ${labels[field]}${v} in en.json`);
+    });
+  });
+
+  (history.releases || []).forEach(r => {
+    Object.keys(r.scores || {}).forEach(id => {
+      if (!idSet.has(id)) warn('history.json', `${r.id}.${id}`, 'unknown country');
+      Object.keys(r.scores[id]).filter(p => !pillarIds.includes(p)).forEach(p => warn('history.json', `${r.id}.${id}`, `unknown pillar "${p}"`));
+    });
+  });
+}
+
+function main() {
+  const strict = process.argv.includes('--strict');
+  const data = {};
+  FILES.forEach(name => {
+    try {
+      data[name] = load(`${name}.json`);
+    } catch (e) {
+      error(`${name}.json`, '', `cannot be read: ${e.message}`);
+    }
+  });
+
+  FILES.filter(name => data[name] !== undefined).forEach(name => checkSchema(name, data[name]));
+  if (FILES.every(name => data[name] !== undefined)) {
+    checkConsistency(data, load('lang/en.json'), load('lang/index.json'));
+  }
+
+  warnings.forEach(w => console.log(`  ! ${w}`));
+  errors.forEach(e => console.log(`  ✗ ${e}`));
+  const countries = data.countries ? data.countries.length : 0;
+  console.log(`${errors.length} error(s), ${warnings.length} warning(s) in ${FILES.length} files (${countries} countries).`);
+  if (!errors.length && !warnings.length) console.log('  ✓ All data files are valid and consistent.');
+  return errors.length || (strict && warnings.length) ? 1 : 0;
+}
+
+process.exitCode = main();
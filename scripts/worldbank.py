@@ -13,6 +13,8 @@ logger = logging.getLogger(__name__)
 INDICATORS = {
     "NY.GDP.MKTP.CD": ("gdp", lambda v: round(v / 1e9, 1)),
     "NY.GDP.PCAP.CD": ("gdp_per_capita", lambda v: round(v)),
+    "NY.GDP.MKTP.PP.CD": ("gdp_ppp", lambda v: round(v / 1e9, 1)),
+    "NY.GDP.PCAP.PP.CD": ("gdp_per_capita_ppp", lambda v: round(v)),
     "NY.GNP.PCAP.CD": ("gni_per_capita", lambda v: round(v)),
     "FP.CPI.TOTL.ZG": ("inflation", lambda v: round(v, 1)),
     "SL.UEM.TOTL.ZS": ("unemployment", lambda v: round(v, 1)),
@@ -22,6 +24,7 @@ INDICATORS = {
     "NE.EXP.GNFS.ZS": ("exports_pct_gdp", lambda v: round(v, 1)),
     "GC.REV.XGRT.GD.ZS": ("revenue_pct_gdp", lambda v: round(v, 1)),
     "GC.XPN.TOTL.GD.ZS": ("expense_pct_gdp", lambda v: round(v, 1)),
+    "PA.NUS.FCRF": ("usd_exchange", lambda v: round(v, 4)),
 }
 
 BASE_URL = "https://api.worldbank.org/v2"
@@ -59,8 +62,9 @@ def _most_recent_value(records):
     return None, None
 
 
-def fetch_all(country_ids=None):
-    """Fetch all indicators for the given countries (or all 125).
+def fetch_all(country_ids=None, fields=None):
+    """Fetch all indicators (or those of the given field names) for the given
+    countries (or all mapped countries).
 
     Returns: dict[country_id, dict[field, (converted_value, year)]]
     """
@@ -81,7 +85,8 @@ def fetch_all(country_ids=None):
     # Initialise result structure
     results = {cid: {} for cid in country_ids if cid in COUNTRY_ID_TO_ISO2}
 
-    for i, (wb_code, (field, convert)) in enumerate(INDICATORS.items()):
+    indicators = [(code, spec) for code, spec in INDICATORS.items() if fields is None or spec[0] in fields]
+    for i, (wb_code, (field, convert)) in enumerate(indicators):
         if i > 0:
             time.sleep(REQUEST_DELAY)
 
@@ -118,4 +123,9 @@ def fetch_all(country_ids=None):
             year = min(exp_year, imp_year)
             fields["trade_balance"] = (balance, year)
 
+        # The site notes which year's rate converted figures use
+        if "usd_exchange" in fields:
+            _rate, year = fields["usd_exchange"]
+            fields["usd_exchange_year"] = (int(year), year)
+
     return results
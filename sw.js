@@ -0,0 +1,144 @@
+/**
+ * sw.js - Service worker for World Barometer
+ * Precaches every page, script, stylesheet and data file so the site works
+ * offline. Pages, scripts and styles are network-first, so a deploy shows up
+ * at once and new markup never runs with an old app.js; data/ and api/ are
+ * stale-while-revalidate (new files show up on the next visit). Bump VERSION
+ * when the precache lists below change.
+ */
+const VERSION = '20261019';
+const CACHE = `gpb-${VERSION}`;
+const RUNTIME = 'gpb-runtime';
+
+const PAGES = [
+  'index.html', 'country.html', 'pillar.html', 'compare.html', 'explore.html', 'widgets.html', 'embed.html',
+  'map.html',
+  'prosperity.html', 'trade.html', 'press-freedom.html', 'life-satisfaction.html',
+  'rule-of-law.html', 'quiz.html', 'about.html', 'methodology.html',
+  'impressum.html', 'privacy.html', '404.html'
+];
+
+const ASSETS = [
+  'manifest.webmanifest',
+  'css/main.css',
+  'js/data.js', 'js/i18n.js', 'js/pwa.js', 'js/app.js', 'js/map.js',
+  'js/country-selector.js', 'js/country-shapes.js', 'js/weights.js', 'js/currency.js',
+  'js/indicators.js', 'js/table.js', 'js/export.js', 'js/share-card.js', 'js/embed.js', 'js/chart.min.js',
+  'img/logo.png', 'img/favicon.svg'
+];
+
+const DATA = [
+  'data/countries.json', 'data/pillars.json', 'data/economics.json',
+  'data/politics.json', 'data/demographics.json', 'data/history.json',
+  'data/boundaries.geojson', 'data/lang/index.json', 'data/lang/en.json'
+];
+
+// Leaflet is loaded from unpkg by the map; cached when reachable, never required
+const LEAFLET = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css'
+];
+
+// Cache entries are stored without the query string: ?id=norway and ?v=20260327
+// all map to the same file
+function cacheKey(url) {
+  const path = url.pathname.endsWith('/') ? url.pathname + 'index.html' : url.pathname;
+  return url.origin + path;
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    // cache: 'reload' skips the HTTP cache so a new VERSION gets fresh files
+    await cache.addAll(PAGES.concat(ASSETS, DATA).map(p => new Request(p, { cache: 'reload' })));
+    try {
+      await (await caches.open(RUNTIME)).addAll(LEAFLET);
+    } catch (e) {
+      // Offline or unpkg down: cached on first use instead
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith('gpb-') && k !== CACHE && k !== RUNTIME).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+// Pages tell us their language so it is available offline too
+self.addEventListener('message', event => {
+  const msg = event.data;
+  if (!msg || msg.type !== 'gpb-cache-lang' || !/^[a-z]{2}$/.test(msg.lang)) return;
+  const url = new URL(`data/lang/${msg.lang}.json`, self.location);
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    if (await cache.match(cacheKey(url))) return;
+    try {
+      const resp = await fetch(url, { cache: 'reload' });
+      if (resp.ok) await cache.put(cacheKey(url), resp);
+    } catch (e) {
+      // Offline: English fallback is precached
+    }
+  })());
+});
+
+async function staleWhileRevalidate(event, key) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(key);
+  const network = fetch(event.request).then(resp => {
+    if (resp.ok) cache.put(key, resp.clone());
+    return resp;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Pages (including the static de/, fr/, ... pages) are cached as they are visited
+async function networkFirst(request, key) {
+  const cache = await caches.open(CACHE);
+  try {
+    const resp = await fetch(request);
+    if (resp.ok) cache.put(key, resp.clone());
+    return resp;
+  } catch (e) {
+    // Pages not seen before get the offline-friendly 404 page, files nothing
+    const page = request.mode === 'navigate' || key.endsWith('.html');
+    const cached = await cache.match(key) || (page && await cache.match(cacheKey(new URL('404.html', self.location))));
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(request, key, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(key);
+  if (cached) return cached;
+  const resp = await fetch(request);
+  // Opaque: cross-origin script/link tags without CORS (Leaflet)
+  if (resp.ok || resp.type === 'opaque') cache.put(key, resp.clone());
+  return resp;
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    const key = cacheKey(url);
+    if (request.mode === 'navigate' || /\.(html|js|css)$/.test(key)) {
+      event.respondWith(networkFirst(request, key));
+    } else {
+      event.respondWith(staleWhileRevalidate(event, key));
+    }
+  } else if (url.origin === 'https://unpkg.com') {
+    event.respondWith(cacheFirst(request, request.url, RUNTIME));
+  }
+  // Everything else (map tiles, analytics) goes straight to the network
+});